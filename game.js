@@ -1,3 +1,825 @@
+const DAILY_STORAGE_KEY = 'lemonoslicer.daily';
+const DAILY_SCHEMA_VERSION = 1;
+
+// Best daily challenge score per UTC date, persisted as { version, days: { 'YYYY-MM-DD': { best, attempts } } }
+class DailyRecords {
+    constructor() {
+        this.days = this.load();
+    }
+
+    static dateKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    load() {
+        try {
+            const raw = localStorage.getItem(DAILY_STORAGE_KEY);
+            if (!raw) return {};
+            
+            const data = JSON.parse(raw);
+            if (data.version !== DAILY_SCHEMA_VERSION) {
+                console.warn(`Ignoring daily records with unknown schema version ${data.version}`);
+                return {};
+            }
+            const days = data.days;
+            return days && typeof days === 'object' && !Array.isArray(days) ? days : {};
+        } catch (error) {
+            console.warn('Could not load daily records:', error);
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(DAILY_STORAGE_KEY, JSON.stringify({
+                version: DAILY_SCHEMA_VERSION,
+                days: this.days
+            }));
+        } catch (error) {
+            console.warn('Could not save daily records:', error);
+        }
+    }
+
+    record(dateKey, score) {
+        const day = this.days[dateKey] || { best: 0, attempts: 0 };
+        day.attempts++;
+        day.best = Math.max(day.best, score);
+        this.days[dateKey] = day;
+        this.save();
+        return day;
+    }
+
+    // Consecutive days played, counting back from dateKey
+    getStreak(dateKey) {
+        let streak = 0;
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        while (this.days[DailyRecords.dateKey(date)]) {
+            streak++;
+            date.setUTCDate(date.getUTCDate() - 1);
+        }
+        return streak;
+    }
+}
+
+const CAMPAIGN_STORAGE_KEY = 'lemonoslicer.campaign';
+const CAMPAIGN_SCHEMA_VERSION = 1;
+
+// Campaign unlocks and best score per level, persisted as { version, unlocked, best: { levelId: score } }.
+// unlocked is how many levels are open, counting from the first
+class CampaignProgress {
+    constructor() {
+        const data = this.load();
+        this.unlocked = data.unlocked;
+        this.best = data.best;
+    }
+
+    load() {
+        const empty = { unlocked: 1, best: {} };
+        try {
+            const raw = localStorage.getItem(CAMPAIGN_STORAGE_KEY);
+            if (!raw) return empty;
+            
+            const data = JSON.parse(raw);
+            if (data.version !== CAMPAIGN_SCHEMA_VERSION) {
+                console.warn(`Ignoring campaign progress with unknown schema version ${data.version}`);
+                return empty;
+            }
+            // Levels can be removed or renumbered, so clamp to the ones there are
+            const unlocked = Math.floor(Number(data.unlocked)) || 1;
+            return {
+                unlocked: Math.max(1, Math.min(CAMPAIGN_LEVELS.length, unlocked)),
+                best: data.best && typeof data.best === 'object' && !Array.isArray(data.best) ? data.best : {}
+            };
+        } catch (error) {
+            console.warn('Could not load campaign progress:', error);
+            return empty;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(CAMPAIGN_STORAGE_KEY, JSON.stringify({
+                version: CAMPAIGN_SCHEMA_VERSION,
+                unlocked: this.unlocked,
+                best: this.best
+            }));
+        } catch (error) {
+            console.warn('Could not save campaign progress:', error);
+        }
+    }
+
+    isUnlocked(index) {
+        return index < this.unlocked;
+    }
+
+    // Records a finished run of a level; clearing it opens the next one.
+    // Returns the level that was unlocked, or null
+    record(levelId, score, cleared) {
+        const index = CAMPAIGN_LEVELS.findIndex(level => level.id === levelId);
+        this.best[levelId] = Math.max(this.best[levelId] || 0, score);
+        
+        const next = CAMPAIGN_LEVELS[index + 1];
+        const unlocks = cleared && next && !this.isUnlocked(index + 1);
+        if (unlocks) {
+            this.unlocked = index + 2;
+        }
+        this.save();
+        return unlocks ? next : null;
+    }
+}
+
+// Mouse, touch and pen input through Pointer Events, reported as canvas-relative
+// 'down' / 'move' / 'up' per pointer id and type. Listens on the window so strokes that start
+// or end over the HUD still count
+class PointerInput {
+    constructor(canvas, onInput) {
+        this.canvas = canvas;
+        this.onInput = onInput;
+        this.pressed = new Set(); // Pointer ids currently touching or holding a button
+        
+        window.addEventListener('pointerdown', (e) => this.handleDown(e));
+        window.addEventListener('pointermove', (e) => this.handleMove(e));
+        window.addEventListener('pointerup', (e) => this.handleUp(e));
+        window.addEventListener('pointercancel', (e) => this.handleUp(e));
+    }
+
+    handleDown(e) {
+        this.pressed.add(e.pointerId);
+        this.onInput('down', 0, 0, e.pointerId, e.pointerType);
+        this.reportPosition(e, e);
+    }
+
+    handleMove(e) {
+        // A mouse blade follows the cursor, but a hovering pen shouldn't cut
+        if (e.pointerType !== 'mouse' && !this.pressed.has(e.pointerId)) return;
+        
+        // High-rate mice and touchscreens deliver several samples per event
+        const samples = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        for (const sample of samples.length > 0 ? samples : [e]) {
+            this.reportPosition(sample, e);
+        }
+    }
+
+    handleUp(e) {
+        if (!this.pressed.delete(e.pointerId)) return;
+        this.onInput('up', 0, 0, e.pointerId, e.pointerType);
+    }
+
+    // Coalesced samples don't always carry the pointer id, so it comes from the dispatched event
+    reportPosition(sample, e) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.onInput('move', sample.clientX - rect.left, sample.clientY - rect.top, e.pointerId, e.pointerType);
+    }
+}
+
+// A cursor steered by a stick or keys instead of a pointer. The blade only cuts while armed,
+// so it reports 'down' / 'move' / 'up' like a finger touching the screen
+class CursorInput {
+    constructor(canvas, onInput, inputType, speed) {
+        this.canvas = canvas;
+        this.onInput = onInput;
+        this.inputType = inputType; // Also the pointer id, there's one cursor per input type
+        this.speed = speed; // Pixels per second at full tilt
+        this.reset();
+    }
+
+    reset() {
+        this.x = this.canvas.width / 2;
+        this.y = this.canvas.height / 2;
+        this.armed = false;
+        this.visible = false; // Only drawn once the player has used it this run
+    }
+
+    // dx and dy are -1..1; called once per frame
+    steer(dx, dy, armed, deltaMs) {
+        if (dx !== 0 || dy !== 0 || armed) {
+            this.visible = true;
+        }
+        
+        const step = this.speed * deltaMs / 1000;
+        this.x = Math.max(0, Math.min(this.canvas.width, this.x + dx * step));
+        this.y = Math.max(0, Math.min(this.canvas.height, this.y + dy * step));
+        
+        if (armed !== this.armed) {
+            this.armed = armed;
+            this.onInput(armed ? 'down' : 'up', 0, 0, this.inputType, this.inputType);
+        }
+        if (armed) {
+            this.onInput('move', this.x, this.y, this.inputType, this.inputType);
+        }
+    }
+}
+
+// First connected controller: left stick moves the cursor, either trigger (or A) arms the blade
+class GamepadInput extends CursorInput {
+    constructor(canvas, onInput) {
+        super(canvas, onInput, 'gamepad', 1100);
+        this.deadzone = 0.2;
+    }
+
+    poll(deltaMs) {
+        const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+        const pad = Array.from(pads).find(candidate => candidate && candidate.connected);
+        if (!pad) {
+            if (this.armed) this.steer(0, 0, false, deltaMs);
+            return;
+        }
+        
+        const pressed = (index) => Boolean(pad.buttons[index] && pad.buttons[index].value > 0.5);
+        const armed = pressed(6) || pressed(7) || pressed(0);
+        this.steer(this.shapeAxis(pad.axes[0] || 0), this.shapeAxis(pad.axes[1] || 0), armed, deltaMs);
+    }
+
+    // Squared response past the deadzone gives fine control near the center
+    shapeAxis(value) {
+        if (Math.abs(value) < this.deadzone) return 0;
+        const scaled = (Math.abs(value) - this.deadzone) / (1 - this.deadzone);
+        return Math.sign(value) * scaled * scaled;
+    }
+}
+
+// Arrow keys or WASD move the cursor, holding Space or K arms the blade
+class KeyboardInput extends CursorInput {
+    constructor(canvas, onInput) {
+        super(canvas, onInput, 'keyboard', 800);
+        this.keys = new Set();
+        this.bindings = {
+            left: ['ArrowLeft', 'KeyA'],
+            right: ['ArrowRight', 'KeyD'],
+            up: ['ArrowUp', 'KeyW'],
+            down: ['ArrowDown', 'KeyS'],
+            slash: ['Space', 'KeyK']
+        };
+        const bound = Object.values(this.bindings).flat();
+        
+        window.addEventListener('keydown', (e) => {
+            // Leave typing initials alone
+            const typing = e.target && e.target.closest && e.target.closest('input, select, textarea');
+            if (typing || !bound.includes(e.code)) return;
+            this.keys.add(e.code);
+            // Keep Space and the arrows from scrolling the page, but let a focused button still be pressed
+            const onButton = e.target && e.target.closest && e.target.closest('button');
+            if (!onButton) e.preventDefault();
+        });
+        window.addEventListener('keyup', (e) => this.keys.delete(e.code));
+        window.addEventListener('blur', () => this.keys.clear());
+    }
+
+    isHeld(action) {
+        return this.bindings[action].some(code => this.keys.has(code));
+    }
+
+    poll(deltaMs) {
+        let dx = (this.isHeld('right') ? 1 : 0) - (this.isHeld('left') ? 1 : 0);
+        let dy = (this.isHeld('down') ? 1 : 0) - (this.isHeld('up') ? 1 : 0);
+        if (dx !== 0 && dy !== 0) {
+            // Diagonals aren't faster
+            dx *= Math.SQRT1_2;
+            dy *= Math.SQRT1_2;
+        }
+        this.steer(dx, dy, this.isHeld('slash'), deltaMs);
+    }
+}
+
+// Preloads images and JSON with progress reporting.
+// A failed asset is logged and swapped for a fallback (a labelled placeholder for images) instead of blocking the game.
+class AssetLoader {
+    constructor() {
+        this.queue = [];
+        this.assets = new Map();
+        this.failed = [];
+        this.settled = 0;
+        this.total = 0;
+    }
+
+    addImage(key, src) {
+        this.queue.push({ key, src, type: 'image' });
+    }
+
+    addJson(key, src) {
+        this.queue.push({ key, src, type: 'json' });
+    }
+
+    get(key) {
+        return this.assets.get(key);
+    }
+
+    // Loads everything queued so far; can be called again for assets discovered later
+    async loadAll(onProgress = () => {}) {
+        const batch = this.queue.splice(0);
+        this.total += batch.length;
+        onProgress(this.settled, this.total);
+        
+        await Promise.all(batch.map(async (asset) => {
+            try {
+                this.assets.set(asset.key, await this.loadAsset(asset));
+            } catch (error) {
+                console.error(`Failed to load ${asset.type} "${asset.key}" from ${asset.src}:`, error.message);
+                this.failed.push(asset);
+                this.assets.set(asset.key, asset.type === 'image' ? AssetLoader.createPlaceholder(asset.key) : null);
+            }
+            this.settled++;
+            onProgress(this.settled, this.total);
+        }));
+    }
+
+    loadAsset(asset) {
+        if (asset.type === 'image') {
+            return new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error('image failed to load'));
+                image.src = asset.src;
+            });
+        }
+        
+        return fetch(asset.src).then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.json();
+        });
+    }
+
+    // Magenta checkerboard with the asset name, impossible to mistake for real art
+    static createPlaceholder(label, size = 128) {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const cell = size / 8;
+        
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                ctx.fillStyle = (row + col) % 2 ? '#FF00FF' : '#000000';
+                ctx.fillRect(col * cell, row * cell, cell, cell);
+            }
+        }
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, size * 0.35, size, size * 0.3);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = `bold ${Math.floor(size / 8)}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('MISSING', size / 2, size * 0.43);
+        ctx.fillText(label, size / 2, size * 0.57, size * 0.9);
+        return canvas;
+    }
+}
+
+// Convex hull of the sprite's opaque pixels, sampled at a low resolution.
+// Returns null when the pixels can't be read (e.g. a canvas tainted by opening the game from file://).
+// The hull is in sprite space like the other hit shapes, see simulation.js
+function computeAlphaHull(image, resolution = 64, alphaThreshold = 32) {
+    const canvas = document.createElement('canvas');
+    canvas.width = resolution;
+    canvas.height = resolution;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, resolution, resolution); // Stretched the same way drawLemon draws it
+    
+    let pixels;
+    try {
+        pixels = ctx.getImageData(0, 0, resolution, resolution).data;
+    } catch (error) {
+        console.warn('Could not read sprite pixels for a hit shape, using a circle:', error.message);
+        return null;
+    }
+    
+    // The outermost opaque pixel of each row is enough to build the hull
+    const points = [];
+    for (let y = 0; y < resolution; y++) {
+        let left = -1;
+        let right = -1;
+        for (let x = 0; x < resolution; x++) {
+            if (pixels[(y * resolution + x) * 4 + 3] >= alphaThreshold) {
+                if (left === -1) left = x;
+                right = x;
+            }
+        }
+        if (left !== -1) {
+            points.push({ x: left, y }, { x: left, y: y + 1 }, { x: right + 1, y }, { x: right + 1, y: y + 1 });
+        }
+    }
+    if (points.length === 0) return null;
+    
+    return convexHull(points).map(point => ({
+        x: point.x / resolution - 0.5,
+        y: point.y / resolution - 0.5
+    }));
+}
+
+const FRUIT_MANIFEST_URL = 'fruits.json';
+const FRUIT_MANIFEST_VERSION = 1;
+
+// Checks one fruits.json entry and returns a list of problems (empty when it's fine)
+function validateFruitEntry(entry, seenNames) {
+    const errors = [];
+    const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+    const allowedKeys = ['name', 'note', 'image', 'points', 'rarity', 'size', 'mobileSize', 'hitRadius', 'sliceColor', 'minDifficulty', 'hp'];
+    
+    if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+        return ['must be an object'];
+    }
+    if (typeof entry.name !== 'string' || entry.name === '') {
+        errors.push('name must be a non-empty string');
+    } else if (seenNames.has(entry.name)) {
+        errors.push(`name "${entry.name}" is used more than once`);
+    }
+    if (typeof entry.image !== 'string' || entry.image === '') {
+        errors.push('image must be a path like "special_fruits/lime.png"');
+    }
+    if (!Number.isInteger(entry.points) || entry.points <= 0) {
+        errors.push('points must be a positive whole number');
+    }
+    if (!isPositiveNumber(entry.rarity)) {
+        errors.push('rarity must be a positive weight');
+    }
+    if (!isPositiveNumber(entry.size)) {
+        errors.push('size must be a positive number of pixels');
+    }
+    if (entry.mobileSize !== undefined && !isPositiveNumber(entry.mobileSize)) {
+        errors.push('mobileSize must be a positive number of pixels when set');
+    }
+    if (!isPositiveNumber(entry.hitRadius)) {
+        errors.push('hitRadius must be a positive number of pixels');
+    }
+    if (typeof entry.sliceColor !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(entry.sliceColor)) {
+        errors.push('sliceColor must be a hex color like "#FFD700"');
+    }
+    if (typeof entry.minDifficulty !== 'number' || !(entry.minDifficulty >= 1)) {
+        errors.push('minDifficulty must be a number, 1 or more');
+    }
+    if (entry.hp !== undefined && (!Number.isInteger(entry.hp) || entry.hp < 1)) {
+        errors.push('hp must be a whole number, 1 or more, when set');
+    }
+    for (const key of Object.keys(entry)) {
+        if (!allowedKeys.includes(key)) {
+            errors.push(`unknown field "${key}"`);
+        }
+    }
+    return errors;
+}
+
+const AUDIO_STORAGE_KEY = 'lemonoslicer.audio';
+const AUDIO_SCHEMA_VERSION = 1;
+
+// Synthesized sound effects and music on the Web Audio API.
+// Nothing plays until unlock() runs inside a user gesture (browser autoplay policy).
+class SoundEngine {
+    constructor() {
+        this.context = null;
+        this.musicTimer = null;
+        this.settings = this.load();
+    }
+
+    load() {
+        const defaults = { master: 0.8, sfx: 0.8, music: 0.4, muted: false };
+        try {
+            const raw = localStorage.getItem(AUDIO_STORAGE_KEY);
+            if (!raw) return defaults;
+            
+            const data = JSON.parse(raw);
+            if (data.version !== AUDIO_SCHEMA_VERSION) {
+                console.warn(`Ignoring audio settings with unknown schema version ${data.version}`);
+                return defaults;
+            }
+            return { ...defaults, ...data.settings };
+        } catch (error) {
+            console.warn('Could not load audio settings:', error);
+            return defaults;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(AUDIO_STORAGE_KEY, JSON.stringify({
+                version: AUDIO_SCHEMA_VERSION,
+                settings: this.settings
+            }));
+        } catch (error) {
+            console.warn('Could not save audio settings:', error);
+        }
+    }
+
+    unlock() {
+        if (this.context) {
+            if (this.context.state === 'suspended') {
+                this.context.resume();
+            }
+            return;
+        }
+        
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return; // No Web Audio, play silently
+        
+        this.context = new AudioContextClass();
+        this.masterGain = this.context.createGain();
+        this.sfxGain = this.context.createGain();
+        this.musicGain = this.context.createGain();
+        this.sfxGain.connect(this.masterGain);
+        this.musicGain.connect(this.masterGain);
+        this.masterGain.connect(this.context.destination);
+        this.applyVolumes();
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+        
+        this.masterGain.gain.value = this.settings.muted ? 0 : this.settings.master;
+        this.sfxGain.gain.value = this.settings.sfx;
+        this.musicGain.gain.value = this.settings.music;
+    }
+
+    setVolume(channel, value) {
+        this.settings[channel] = Math.min(1, Math.max(0, value));
+        this.applyVolumes();
+        this.save();
+    }
+
+    toggleMute() {
+        this.settings.muted = !this.settings.muted;
+        this.applyVolumes();
+        this.save();
+        return this.settings.muted;
+    }
+
+    get canPlay() {
+        return this.context !== null && !this.settings.muted;
+    }
+
+    tone({ type = 'sine', frequency, endFrequency = frequency, duration, volume = 0.3, delay = 0, output = this.sfxGain }) {
+        const start = this.context.currentTime + delay;
+        const oscillator = this.context.createOscillator();
+        const envelope = this.context.createGain();
+        
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, start);
+        oscillator.frequency.exponentialRampToValueAtTime(endFrequency, start + duration);
+        envelope.gain.setValueAtTime(volume, start);
+        envelope.gain.exponentialRampToValueAtTime(0.001, start + duration);
+        
+        oscillator.connect(envelope);
+        envelope.connect(output);
+        oscillator.start(start);
+        oscillator.stop(start + duration);
+    }
+
+    noise({ duration, volume = 0.3, filterFrequency = 1000 }) {
+        const start = this.context.currentTime;
+        const length = Math.floor(this.context.sampleRate * duration);
+        const buffer = this.context.createBuffer(1, length, this.context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * (1 - i / length);
+        }
+        
+        const source = this.context.createBufferSource();
+        const filter = this.context.createBiquadFilter();
+        const envelope = this.context.createGain();
+        source.buffer = buffer;
+        filter.type = 'lowpass';
+        filter.frequency.value = filterFrequency;
+        envelope.gain.value = volume;
+        
+        source.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(this.sfxGain);
+        source.start(start);
+    }
+
+    // Higher value fruit slice at a higher pitch
+    playSlice(points) {
+        if (!this.canPlay) return;
+        
+        const pitch = 300 * Math.pow(Math.max(points, 10) / 10, 0.3);
+        this.noise({ duration: 0.08, volume: 0.25, filterFrequency: 4000 });
+        this.tone({ type: 'triangle', frequency: pitch, endFrequency: pitch * 1.5, duration: 0.12, volume: 0.25 });
+    }
+
+    // Dull clank for a hit that didn't cut through
+    playArmorHit() {
+        if (!this.canPlay) return;
+        
+        this.noise({ duration: 0.05, volume: 0.2, filterFrequency: 2500 });
+        this.tone({ type: 'square', frequency: 660, endFrequency: 440, duration: 0.09, volume: 0.12 });
+    }
+
+    playMiss() {
+        if (!this.canPlay) return;
+        
+        this.tone({ type: 'sawtooth', frequency: 220, endFrequency: 110, duration: 0.3, volume: 0.15 });
+    }
+
+    playSpecialSpawn() {
+        if (!this.canPlay) return;
+        
+        this.tone({ type: 'sine', frequency: 880, endFrequency: 1320, duration: 0.15, volume: 0.12 });
+        this.tone({ type: 'sine', frequency: 1320, endFrequency: 1760, duration: 0.15, volume: 0.1, delay: 0.08 });
+    }
+
+    // Rising arpeggio, one note per fruit in the combo
+    playCombo(cuts) {
+        if (!this.canPlay) return;
+        
+        const notes = Math.min(cuts, 8);
+        for (let i = 0; i < notes; i++) {
+            const frequency = 523 * Math.pow(2, (i * 4) / 12);
+            this.tone({ type: 'square', frequency, duration: 0.1, volume: 0.1, delay: i * 0.05 });
+        }
+    }
+
+    playTimeBonus() {
+        if (!this.canPlay) return;
+        
+        this.tone({ type: 'sine', frequency: 1046, duration: 0.08, volume: 0.2 });
+        this.tone({ type: 'sine', frequency: 1568, duration: 0.12, volume: 0.2, delay: 0.08 });
+    }
+
+    playPowerUp() {
+        if (!this.canPlay) return;
+        
+        this.tone({ type: 'triangle', frequency: 523, duration: 0.08, volume: 0.2 });
+        this.tone({ type: 'triangle', frequency: 784, duration: 0.08, volume: 0.2, delay: 0.07 });
+        this.tone({ type: 'triangle', frequency: 1046, duration: 0.16, volume: 0.2, delay: 0.14 });
+    }
+
+    playBomb() {
+        if (!this.canPlay) return;
+        
+        this.noise({ duration: 0.8, volume: 0.6, filterFrequency: 600 });
+        this.tone({ type: 'sine', frequency: 120, endFrequency: 30, duration: 0.6, volume: 0.5 });
+    }
+
+    playGameOver() {
+        if (!this.canPlay) return;
+        
+        [392, 330, 262, 196].forEach((frequency, i) => {
+            this.tone({ type: 'triangle', frequency, duration: 0.35, volume: 0.25, delay: i * 0.22 });
+        });
+    }
+
+    // Looping bass and arpeggio, scheduled a little ahead of the audio clock
+    startMusic() {
+        if (!this.context || this.musicTimer) return;
+        
+        const pattern = [220, 262, 330, 262, 196, 247, 294, 247];
+        const beat = 0.25; // Seconds per note
+        let step = 0;
+        let nextNoteTime = this.context.currentTime + 0.05;
+        
+        this.musicTimer = setInterval(() => {
+            while (nextNoteTime < this.context.currentTime + 0.2) {
+                const delay = Math.max(0, nextNoteTime - this.context.currentTime);
+                const frequency = pattern[step % pattern.length];
+                this.tone({ type: 'triangle', frequency, duration: beat * 0.9, volume: 0.15, delay, output: this.musicGain });
+                if (step % 4 === 0) {
+                    this.tone({ type: 'sine', frequency: frequency / 2, duration: beat * 3.5, volume: 0.2, delay, output: this.musicGain });
+                }
+                step++;
+                nextNoteTime += beat;
+            }
+        }, 50);
+    }
+
+    stopMusic() {
+        clearInterval(this.musicTimer);
+        this.musicTimer = null;
+    }
+}
+
+const HIGH_SCORE_STORAGE_KEY = 'lemonoslicer.highscores';
+const HIGH_SCORE_SCHEMA_VERSION = 3;
+
+// Local top-N leaderboards, one per game mode, persisted in localStorage as { version, tables: { mode: entries } }
+class HighScoreTable {
+    constructor(maxEntries = 10) {
+        this.maxEntries = maxEntries;
+        this.tables = this.load();
+    }
+
+    // Upgrades older saves one version at a time; add a step here whenever the schema changes
+    static migrate(data) {
+        const migrations = {
+            // v1 had a single table, which was classic mode
+            1: (v1) => ({ version: 2, tables: { classic: v1.entries } }),
+            // v3 tags every entry with its difficulty preset, which was always normal before
+            2: (v2) => ({
+                version: 3,
+                tables: Object.fromEntries(Object.entries(v2.tables).map(([mode, entries]) =>
+                    [mode, entries.map(entry => ({ ...entry, difficulty: 'normal' }))]))
+            })
+        };
+        
+        while (data.version < HIGH_SCORE_SCHEMA_VERSION) {
+            const step = migrations[data.version];
+            if (!step) {
+                throw new Error(`No high score migration from version ${data.version}`);
+            }
+            data = step(data);
+        }
+        return data;
+    }
+
+    load() {
+        try {
+            const raw = localStorage.getItem(HIGH_SCORE_STORAGE_KEY);
+            if (!raw) return {};
+            
+            const data = JSON.parse(raw);
+            if (typeof data.version !== 'number' || data.version > HIGH_SCORE_SCHEMA_VERSION) {
+                console.warn(`Ignoring high scores with unknown schema version ${data.version}`);
+                return {};
+            }
+            return HighScoreTable.migrate(data).tables;
+        } catch (error) {
+            console.warn('Could not load high scores:', error);
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(HIGH_SCORE_STORAGE_KEY, JSON.stringify({
+                version: HIGH_SCORE_SCHEMA_VERSION,
+                tables: this.tables
+            }));
+        } catch (error) {
+            console.warn('Could not save high scores:', error);
+        }
+    }
+
+    getEntries(mode) {
+        return this.tables[mode] || [];
+    }
+
+    qualifies(mode, score) {
+        const entries = this.getEntries(mode);
+        if (score <= 0) return false;
+        if (entries.length < this.maxEntries) return true;
+        return score > entries[entries.length - 1].score;
+    }
+
+    // Inserts an entry and returns its 1-based rank, or 0 if it didn't make the table
+    add(mode, entry) {
+        const entries = [...this.getEntries(mode), entry];
+        // Ties keep the older entry on top
+        entries.sort((a, b) => b.score - a.score);
+        this.tables[mode] = entries.slice(0, this.maxEntries);
+        this.save();
+        return this.tables[mode].indexOf(entry) + 1;
+    }
+}
+
+// The in-run HUD, written from the simulation's state every tick. A text only
+// touches the DOM when it actually changes
+class Hud {
+    constructor() {
+        this.texts = {}; // Element id -> text last written
+    }
+
+    // Each mode shows only the HUD elements it lists
+    showMode(mode) {
+        for (const element of ['lives', 'timer', 'difficulty', 'wave']) {
+            document.getElementById(element).classList.toggle('hidden', !mode.hud.includes(element));
+        }
+    }
+
+    setText(id, text) {
+        if (this.texts[id] === text) return;
+        this.texts[id] = text;
+        document.getElementById(id).textContent = text;
+    }
+
+    update(sim) {
+        this.setText('score', `score: ${sim.score}`);
+        this.setText('lives', `lives: ${sim.lives}`);
+        if (sim.runDuration) {
+            this.setText('timer', `time: ${sim.getTimeLeft()}s`);
+        }
+        
+        if (sim.level) {
+            this.setText('wave', this.getWaveText(sim));
+        }
+        
+        const difficultyText = Math.floor((sim.difficulty - 1) * 100);
+        this.setText('difficulty', difficultyText > 0 ? `difficulty: +${difficultyText}%` : '');
+        this.setText('power-ups', this.getPowerUpText(sim));
+    }
+
+    getWaveText(sim) {
+        const waves = sim.level.waves.length;
+        if (sim.waveIndex >= waves) return `boss: ${sim.level.name}`;
+        return `wave ${Math.max(1, sim.waveIndex + 1)}/${waves}`;
+    }
+
+    getPowerUpText(sim) {
+        return Object.keys(sim.activeEffects)
+            .map(name => `${POWER_UPS[name].icon} ${name} ${Math.ceil(sim.activeEffects[name] / 1000)}s`)
+            .join('  ');
+    }
+}
+
 class Game {
     constructor() {
         if (Game.instance) {
@@ -6,9 +828,11 @@ class Game {
         Game.instance = this;
 
         this.canvas = document.getElementById('gameCanvas');
-        this.ctx = this.canvas.getContext('2d');
-        this.isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+        // isMobileDevice picks the gameplay profile for live runs (a replay uses the recorder's) and the particle caps
+        this.isMobileDevice = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
         this.resizeCanvas();
+        this.renderer = new Renderer(this.canvas, this.isMobileDevice);
+        this.hud = new Hud();
         
         // Game timing
         this.lastTime = 0;
@@ -16,167 +840,43 @@ class Game {
         this.fixedTimeStep = 1000 / 60; // 60 FPS
         this.timeAccumulator = 0;
         
-        // Initialize Hammer.js with better touch handling
-        this.hammer = new Hammer.Manager(this.canvas, {
-            touchAction: 'none',
-            inputClass: Hammer.TouchInput,
-            recognizers: [
-                [Hammer.Pan, {
-                    direction: Hammer.DIRECTION_ALL,
-                    threshold: 0,  // No minimum distance required
-                    pointers: 1    // Single finger
-                }]
-            ]
-        });
-
-        this.score = 0;
-        this.lives = 3;
-        this.lemons = [];
-        this.slices = [];
-        this.gameActive = false;
-        this.fruitsSliced = 0;
-        this.lastSparkleTime = 0;
-        this.gameStartTime = 0;
-        this.difficulty = 1;
-        this.floatingTexts = [];
-        this.touchPoints = [];
-        
-        // Mobile-specific settings
-        this.mobileSettings = {
-            baseThrowForce: -20,
-            gravity: 0.2,
-            fruitSize: 50,
-            spawnDelay: 2500,
-            minSpawnDelay: 800,
-            trailLength: 8,
-            maxFruitsPerSpawn: 2
-        };
-
-        // Desktop settings
-        this.desktopSettings = {
-            baseThrowForce: -30,
-            gravity: 0.3,
-            fruitSize: 60,
-            spawnDelay: 2000,
-            minSpawnDelay: 600,
-            trailLength: 15,
-            maxFruitsPerSpawn: 3
-        };
+        // The current run, see simulation.js. Everything that decides the score lives in there;
+        // the Game feeds it input, draws it and turns its events into sound and HUD updates
+        this.sim = null;
+        this.seed = 0;
         
-        // Score colors based on point value
-        this.scoreColors = {
-            10: '#FFFFFF',     // Regular lemon: white
-            50: '#90EE90',     // Low bonus: light green
-            100: '#FFD700',    // Medium bonus: gold
-            150: '#FFA500',    // High bonus: orange
-            300: '#FF69B4'     // Highest bonus: hot pink
-        };
+        // Input is queued by the listeners and applied on simulation ticks so it can be recorded
+        this.pendingInput = [];
+        this.recording = [];
+        this.replay = null; // Loaded replay being played back
+        this.lastRun = null; // Replay of the last finished run, for export
         
-        // Special fruits configuration with mobile-aware sizing
-        this.specialFruits = [
-            {
-                name: 'lemonogata', // lemonogata
-                points: 300,
-                rarity: 0.15,
-                size: this.isMobile ? 70 : 80,
-                image: null
-            },
-            {
-                name: 'wife', // catgirlmeowwww (doubles as harrisfootjob too)
-                points: 300, // they are both equally evil...
-                rarity: 0.15,
-                size: this.isMobile ? 70 : 80,
-                image: null
-            },
-            {
-                name: 'twoapple', // bidenfootjob
-                points: 200,
-                rarity: 0.15,
-                size: this.isMobile ? 70 : 80,
-                image: null
-            },
-            {
-                name: 'apple', // (is this actually greipfroutogata?)
-                points: 150,
-                rarity: 0.15,
-                size: this.isMobile ? 70 : 80,
-                image: null
-            },
-            {
-                name: 'notlemon', // notlemonogata
-                points: 150,
-                rarity: 0.15,
-                size: this.isMobile ? 70 : 80,
-                image: null
-            },
-            {
-                name: 'grapefruit', // grapefruitogata
-                points: 50,
-                rarity: 0.15,
-                size: this.isMobile ? 70 : 80,
-                image: null
-            },
-            {
-                name: 'lime', // laimogata
-                points: 100,
-                rarity: 0.15,
-                size: this.isMobile ? 70 : 80,
-                image: null
-            }
-        ];
-
-        // Use appropriate settings based on device
-        const settings = this.isMobile ? this.mobileSettings : this.desktopSettings;
-        
-        // Difficulty settings with device-specific values
-        this.difficultySettings = {
-            baseSpawnDelay: settings.spawnDelay,
-            minSpawnDelay: settings.minSpawnDelay,
-            maxFruitsPerSpawn: settings.maxFruitsPerSpawn,
-            difficultyIncrease: 0.1,
-            maxDifficulty: 3,
-            gravity: settings.gravity,
-            baseThrowForce: settings.baseThrowForce
-        };
+        this.state = 'idle'; // See setState
+        this.animationFrame = null; // Pending requestAnimationFrame handle, owned by setState
         
-        this.blade = {
-            positions: [],
-            lastX: 0,
-            lastY: 0,
-            active: false,
-            maxPositions: this.isMobile ? this.mobileSettings.trailLength : this.desktopSettings.trailLength,
-            maxPointAge: 100, // Maximum age for trail points in milliseconds
-            update(x, y) {
-                const currentTime = Date.now();
-                
-                // Add new position if there's actual movement
-                const dx = x - this.lastX;
-                const dy = y - this.lastY;
-                const movement = Math.sqrt(dx * dx + dy * dy);
-                
-                if (movement > 1) {
-                    this.positions.push({ x, y, time: currentTime });
-                    this.lastX = x;
-                    this.lastY = y;
-                }
-                
-                // Remove old positions
-                const minTime = currentTime - this.maxPointAge;
-                this.positions = this.positions.filter(pos => pos.time >= minTime);
-                
-                // Keep only the maximum number of positions
-                while (this.positions.length > this.maxPositions) {
-                    this.positions.shift();
-                }
-            },
-            clear() {
-                this.positions = [];
-                this.active = false;
-            }
-        };
+        this.highScores = new HighScoreTable();
+        this.pendingScore = null; // Finished run waiting for initials
+        this.nextLevel = null; // Campaign level the game-over screen offers after a clear
+        this.dailyRecords = new DailyRecords();
+        this.audio = new SoundEngine();
+        this.assets = new AssetLoader();
+        this.assetsReady = false; // No runs until loadAssets is done
+        
+        // Special fruits come from the fruits.json manifest, see loadFruitCatalog
+        this.specialFruits = [];
+
+        this.modes = GAME_MODES;
+        this.mode = this.modes.classic;
+        this.selectedMode = 'classic'; // Picked on the menu, daily has its own button
+        this.presets = DIFFICULTY_PRESETS;
+        this.selectedPreset = 'normal';
+        this.campaign = new CampaignProgress();
+        this.selectedLevel = CAMPAIGN_LEVELS[this.campaign.unlocked - 1].id; // Furthest level reached
+        this.leaderboardMode = 'classic';
+        this.dailyDate = null;
 
-        // Load all special fruit images
-        this.loadSpecialFruits();
+        // Load the special fruit catalog and its images (runs are locked until it's done)
+        this.loadAssets();
         
         // Prevent zooming on mobile
         document.addEventListener('touchmove', (e) => {
@@ -187,14 +887,19 @@ class Game {
 
         // Handle window resizing
         window.addEventListener('resize', () => {
-            this.resizeCanvas();
+            if (this.replay) return; // Keep the recorded playfield, CSS scales it
             if (this.gameActive) {
-                this.handleResize();
+                // Canvas size affects spawning, so it changes on a tick like any other input
+                this.queueInput('resize', window.innerWidth, window.innerHeight);
+            } else {
+                this.resizeCanvas();
             }
         });
 
         this.setupEventListeners();
-        this.updateHUD();
+        document.getElementById('dailyButton').textContent = `daily lemon (${DailyRecords.dateKey()})`;
+        this.selectMode(this.selectedMode);
+        this.selectPreset(this.selectedPreset);
     }
 
     resizeCanvas() {
@@ -208,427 +913,507 @@ class Game {
     }
 
     setupEventListeners() {
-        document.getElementById('startButton').addEventListener('click', () => this.startGame());
-        document.getElementById('playAgainButton').addEventListener('click', () => this.startGame());
-        
-        if (this.isMobile) {
-            // Handle continuous touch movement
-            this.hammer.on('panstart', (ev) => {
-                this.blade.active = true;
-                const rect = this.canvas.getBoundingClientRect();
-                const x = ev.center.x - rect.left;
-                const y = ev.center.y - rect.top;
-                this.blade.update(x, y);
-            });
-
-            this.hammer.on('panmove', (ev) => {
-                if (this.blade.active && this.gameActive) {
-                    const rect = this.canvas.getBoundingClientRect();
-                    const x = ev.center.x - rect.left;
-                    const y = ev.center.y - rect.top;
-                    this.blade.update(x, y);
-                }
-            });
-
-            this.hammer.on('panend pancancel', () => {
-                this.blade.clear();
-            });
-
-            // Prevent all default touch behaviors
-            const preventDefaults = (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-            };
-
-            this.canvas.addEventListener('touchstart', preventDefaults, { passive: false });
-            this.canvas.addEventListener('touchmove', preventDefaults, { passive: false });
-            this.canvas.addEventListener('touchend', preventDefaults, { passive: false });
-            this.canvas.addEventListener('touchcancel', preventDefaults, { passive: false });
-
-            // Additional touch event handlers for better response
-            this.canvas.addEventListener('touchstart', (e) => {
-                const touch = e.touches[0];
-                const rect = this.canvas.getBoundingClientRect();
-                const x = touch.clientX - rect.left;
-                const y = touch.clientY - rect.top;
-                this.blade.active = true;
-                this.blade.update(x, y);
-            }, { passive: false });
-
-            this.canvas.addEventListener('touchmove', (e) => {
-                if (this.blade.active && this.gameActive) {
-                    const touch = e.touches[0];
-                    const rect = this.canvas.getBoundingClientRect();
-                    const x = touch.clientX - rect.left;
-                    const y = touch.clientY - rect.top;
-                    this.blade.update(x, y);
-                }
-            }, { passive: false });
-
-            this.canvas.addEventListener('touchend touchcancel', () => {
-                this.blade.clear();
-            }, { passive: false });
-
-        } else {
-            // Mouse events for desktop
-            this.canvas.addEventListener('mousemove', (e) => {
-                const rect = this.canvas.getBoundingClientRect();
-                const x = e.clientX - rect.left;
-                const y = e.clientY - rect.top;
-                if (this.blade.active || this.gameActive) {
-                    this.blade.update(x, y);
-                }
-            });
-
-            window.addEventListener('mousedown', () => {
-                this.blade.active = true;
-            });
-            
-            window.addEventListener('mouseup', () => {
-                this.blade.clear();
-            });
+        // Every button that can start a run unlocks audio, which must happen in a user gesture
+        document.getElementById('startButton').addEventListener('click', () => {
+            this.audio.unlock();
+            this.startGame({ mode: this.selectedMode, preset: this.selectedPreset, level: this.selectedLevel });
+        });
+        document.querySelectorAll('.mode-option').forEach(button => {
+            button.addEventListener('click', () => this.selectMode(button.dataset.mode));
+        });
+        document.querySelectorAll('.preset-option').forEach(button => {
+            button.addEventListener('click', () => this.selectPreset(button.dataset.preset));
+        });
+        document.querySelectorAll('.leaderboard-tab').forEach(button => {
+            button.addEventListener('click', () => this.showLeaderboard(button.dataset.mode));
+        });
+        document.getElementById('dailyButton').addEventListener('click', () => {
+            this.audio.unlock();
+            this.startGame({ mode: 'daily' });
+        });
+        document.getElementById('playAgainButton').addEventListener('click', () => {
+            this.audio.unlock();
+            // A cleared campaign level moves on to the next one
+            const options = this.getRestartOptions();
+            this.startGame(this.nextLevel ? { ...options, level: this.nextLevel } : options);
+        });
+        document.getElementById('gameOverMenuButton').addEventListener('click', () => this.quitToMenu());
+        document.getElementById('leaderboardButton').addEventListener('click', () => this.showLeaderboard(this.selectedMode));
+        document.getElementById('leaderboardBackButton').addEventListener('click', () => this.hideLeaderboard());
+        document.getElementById('saveScoreButton').addEventListener('click', () => this.submitHighScore());
+        document.getElementById('downloadReplayButton').addEventListener('click', () => this.downloadReplay());
+        document.getElementById('replayButton').addEventListener('click', () => {
+            this.audio.unlock();
+            document.getElementById('replayFileInput').click();
+        });
+        document.getElementById('replayFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow loading the same file twice
+            if (file) {
+                this.loadReplayFile(file);
+            }
+        });
+        
+        // Audio controls
+        for (const channel of ['master', 'sfx', 'music']) {
+            const slider = document.getElementById(`${channel}Volume`);
+            slider.value = this.audio.settings[channel];
+            slider.addEventListener('input', () => this.audio.setVolume(channel, Number(slider.value)));
         }
+        document.getElementById('muteButton').addEventListener('click', () => {
+            this.audio.toggleMute();
+            this.updateMuteButton();
+        });
+        this.updateMuteButton();
+        
+        document.getElementById('initials-input').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.submitHighScore();
+            }
+        });
+        
+        // Pausing
+        const pauseButton = document.getElementById('pauseButton');
+        pauseButton.addEventListener('click', () => {
+            pauseButton.blur(); // Or the next Space, the keyboard blade's slash key, would click it again
+            this.pause();
+        });
+        document.getElementById('resumeButton').addEventListener('click', () => this.resume());
+        document.getElementById('restartButton').addEventListener('click', () => this.restartRun());
+        document.getElementById('quitButton').addEventListener('click', () => this.quitToMenu());
+        window.addEventListener('keydown', (e) => {
+            if (e.code === 'Escape' || e.code === 'KeyP') {
+                this.togglePause();
+            }
+        });
+        // Leaving the tab or window pauses, so nothing falls while nobody is looking
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pause();
+        });
+        window.addEventListener('blur', () => this.pause());
+        
+        // Mouse, touch and pen all arrive as pointer events; controllers and keys steer a cursor polled every frame
+        const onInput = (type, x, y, pointerId, inputType) => this.queueInput(type, x, y, pointerId, inputType);
+        this.input = new PointerInput(this.canvas, onInput);
+        this.cursorInputs = [new GamepadInput(this.canvas, onInput), new KeyboardInput(this.canvas, onInput)];
     }
 
-    startGame() {
-        document.body.classList.add('game-active');
-        this.score = 0;
-        this.lives = 3;
-        this.lemons = [];
-        this.slices = [];
-        this.blade.positions = [];
-        this.fruitsSliced = 0;
-        this.gameActive = true;
-        this.gameStartTime = Date.now();
-        this.difficulty = 1;
-        this.blade.active = false; // Reset blade state
-        this.updateHUD();
+    startGame({ mode = 'classic', preset = 'normal', level = null, replay = null } = {}) {
+        if (!this.assetsReady) return; // Runs need the fruit catalog and its hit shapes, see loadAssets
+        this.replay = replay;
+        this.mode = this.modes[replay ? replay.settings.mode : mode];
+        if (replay) {
+            // Rebuild the recorder's playfield so the simulation sees the same numbers
+            this.canvas.width = replay.settings.width;
+            this.canvas.height = replay.settings.height;
+        } else {
+            // Ensure the canvas size is correct (mobile toolbars, or a previous replay's playfield)
+            this.resizeCanvas();
+        }
+        
+        this.dailyDate = this.mode.name === 'daily' ? DailyRecords.dateKey() : null;
+        if (replay) {
+            this.seed = replay.seed;
+        } else if (this.dailyDate) {
+            this.seed = SeededRandom.hashString(`lemonoslicer-daily-${this.dailyDate}`);
+        } else {
+            this.seed = this.pickSeed();
+        }
+        this.sim = new Simulation({
+            mode: this.mode.name,
+            preset: replay ? replay.settings.preset || 'normal' : preset, // Older replays are all normal
+            level: replay ? replay.settings.level : level,
+            seed: this.seed,
+            width: this.canvas.width,
+            height: this.canvas.height,
+            isMobile: replay ? replay.settings.isMobile : this.isMobileDevice,
+            specialFruits: this.specialFruits
+        });
         
+        this.renderer.reset();
+        this.cursorInputs.forEach(cursor => cursor.reset());
+        this.pendingInput = [];
+        this.recording = [];
+        this.replayCursor = 0;
+        this.hud.showMode(this.mode);
+        this.hud.update(this.sim);
+        
+        // The button that started the run is about to be hidden; with focus it would swallow Space
+        if (document.activeElement && document.activeElement.blur) {
+            document.activeElement.blur();
+        }
         document.getElementById('menu').classList.add('hidden');
         document.getElementById('game-over').classList.add('hidden');
         document.getElementById('hud').classList.remove('hidden');
+        document.getElementById('replay-indicator').classList.toggle('hidden', !replay);
+        document.getElementById('replay-error').textContent = '';
         
-        // For mobile, ensure the canvas size is correct
-        if (this.isMobile) {
-            this.resizeCanvas();
-        }
+        this.runSettings = {
+            width: this.canvas.width,
+            height: this.canvas.height,
+            isMobile: this.sim.isMobile,
+            fixedTimeStep: this.fixedTimeStep,
+            mode: this.mode.name,
+            preset: this.sim.preset.name,
+            level: this.sim.level ? this.sim.level.id : null,
+            fruits: this.specialFruits.map(fruit => fruit.name)
+        };
         
-        this.lastTime = 0;
         this.timeAccumulator = 0;
-        requestAnimationFrame((time) => this.gameLoop(time));
-        this.spawnLemons();
+        this.setState('running');
     }
 
-    startSparkleAnimation() {
-        const animate = () => {
-            if (this.blade.positions.length > 0) {
-                const lastPos = this.blade.positions[this.blade.positions.length - 1];
-                this.blade.update(lastPos.x, lastPos.y, true);
-            }
-            requestAnimationFrame(animate);
-        };
-        animate();
+    get gameActive() {
+        return this.state === 'running' || this.state === 'paused';
     }
 
-    loadSpecialFruits() {
-        this.specialFruits.forEach(fruit => {
-            const img = new Image();
-            img.src = `special_fruits/${fruit.name}.png`;
-            fruit.image = img;
-        });
+    get paused() {
+        return this.state === 'paused';
     }
 
-    getRandomSpecialFruit() {
-        // Calculate total rarity
-        const totalRarity = this.specialFruits.reduce((sum, fruit) => sum + fruit.rarity, 0);
-        let random = Math.random() * totalRarity;
-        
-        // Select a fruit based on rarity
-        for (const fruit of this.specialFruits) {
-            random -= fruit.rarity;
-            if (random <= 0) {
-                return fruit;
-            }
+    // Game lifecycle: idle (menu) -> running <-> paused -> over. Only running has a frame
+    // loop and music, and every transition goes through here, so a restart can never leave
+    // a second loop behind. The simulation only advances inside gameLoop, so leaving
+    // running freezes spawning, difficulty and the run clock along with everything else
+    setState(next) {
+        const transitions = {
+            idle: ['running'],
+            running: ['paused', 'over'],
+            paused: ['running', 'idle'],
+            over: ['running', 'idle']
+        };
+        if (!transitions[this.state].includes(next)) {
+            throw new Error(`Can't go from ${this.state} to ${next}`);
         }
         
-        return this.specialFruits[0]; // Fallback to first fruit
+        this.state = next;
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+        document.body.classList.toggle('game-active', next === 'running'); // Hides the cursor
+        document.getElementById('pause-menu').classList.toggle('hidden', next !== 'paused');
+        
+        if (next === 'running') {
+            this.lastTime = 0; // The first frame only sets the clock, time spent paused isn't a frame
+            this.audio.startMusic();
+            this.animationFrame = requestAnimationFrame((time) => this.gameLoop(time));
+        } else {
+            this.audio.stopMusic();
+        }
     }
 
-    updateDifficulty() {
-        const gameTimeSeconds = (Date.now() - this.gameStartTime) / 1000;
-        this.difficulty = Math.min(
-            this.difficultySettings.maxDifficulty,
-            1 + (gameTimeSeconds / 10) * this.difficultySettings.difficultyIncrease
-        );
+    pause() {
+        if (this.state !== 'running') return;
+        
+        // Strokes end at the pause; fingers lifted while paused are never seen
+        this.releaseBlades();
+        this.setState('paused');
     }
 
-    getSpawnCount() {
-        const baseCount = 1;
-        const random = Math.random();
-        const extraCount = Math.floor(random * this.difficulty);
-        return Math.min(baseCount + extraCount, this.difficultySettings.maxFruitsPerSpawn);
+    resume() {
+        if (this.state !== 'paused') return;
+        this.setState('running');
     }
 
-    getSpawnDelay() {
-        const currentDelay = this.difficultySettings.baseSpawnDelay / this.difficulty;
-        return Math.max(currentDelay, this.difficultySettings.minSpawnDelay) +
-               Math.random() * 500; // Add some randomness
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
     }
 
-    spawnLemons() {
-        if (!this.gameActive) return;
+    restartRun() {
+        this.startGame(this.replay ? { replay: this.replay } : this.getRestartOptions());
+    }
 
-        this.updateDifficulty();
-        
-        // Spawn fruits based on current difficulty
-        const count = this.getSpawnCount();
-        const spawnWidth = this.canvas.width * (this.isMobile ? 0.7 : 0.8); // Narrower spawn area on mobile
-        const spawnPositions = Array(count).fill(0).map(() => 
-            (this.canvas.width - spawnWidth) / 2 + Math.random() * spawnWidth
-        ).sort((a, b) => a - b);
+    // Same mode, difficulty and level as the run that just ended
+    getRestartOptions() {
+        return {
+            mode: this.mode.name,
+            preset: this.sim.preset.name,
+            level: this.sim.level ? this.sim.level.id : null
+        };
+    }
 
-        for (let i = 0; i < count; i++) {
-            const isSpecial = Math.random() < 0.15;
-            let specialFruit = null;
-            if (isSpecial) {
-                specialFruit = this.getRandomSpecialFruit();
-            }
+    // Back to the menu from the pause menu or the game-over screen. A run quit while paused
+    // has no game over, so nothing is scored or saved
+    quitToMenu() {
+        this.setState('idle');
+        document.getElementById('hud').classList.add('hidden');
+        document.getElementById('game-over').classList.add('hidden');
+        document.getElementById('menu').classList.remove('hidden');
+        this.selectMode(this.selectedMode); // Picks up levels unlocked since
+    }
 
-            // Calculate throw force based on screen height and device type
-            const minForce = this.difficultySettings.baseThrowForce;
-            const maxExtraForce = this.isMobile ? -5 : -8; // Less variation on mobile
-            const throwForce = minForce - (Math.random() * maxExtraForce * Math.sqrt(this.difficulty));
-
-            const lemon = {
-                x: spawnPositions[i],
-                y: this.canvas.height + 50,
-                speedX: (Math.random() - 0.5) * (this.isMobile ? 6 : 8) * (1 + this.difficulty), // Reduced horizontal speed on mobile
-                speedY: throwForce,
-                rotation: Math.random() * Math.PI * 2,
-                rotationSpeed: (Math.random() - 0.5) * (this.isMobile ? 0.15 : 0.2), // Slower rotation on mobile
-                width: isSpecial ? specialFruit.size : (this.isMobile ? 50 : 60),
-                height: isSpecial ? specialFruit.size : (this.isMobile ? 35 : 40),
-                sliced: false,
-                sliceAngle: 0,
-                isSpecial: isSpecial,
-                specialFruit: specialFruit,
-                leftHalf: {
-                    offsetX: 0,
-                    offsetY: 0,
-                    rotation: 0,
-                    speedX: 0,
-                    speedY: 0,
-                    rotationSpeed: 0
-                },
-                rightHalf: {
-                    offsetX: 0,
-                    offsetY: 0,
-                    rotation: 0,
-                    speedX: 0,
-                    speedY: 0,
-                    rotationSpeed: 0
-                }
-            };
-            
-            this.lemons.push(lemon);
+    // Queues an 'up' for every blade and every stroke about to start, as recorded input
+    releaseBlades() {
+        const pointerIds = new Set(this.sim.blades.keys());
+        for (const event of this.pendingInput) {
+            if (event.type === 'down') pointerIds.add(event.pointerId);
+        }
+        for (const pointerId of pointerIds) {
+            this.queueInput('up', 0, 0, pointerId);
+        }
+        // A trigger or Space still held afterwards arms its cursor again with a fresh 'down'
+        for (const cursor of this.cursorInputs) {
+            cursor.armed = false;
         }
-        
-        setTimeout(() => this.spawnLemons(), this.getSpawnDelay());
     }
 
-    updateHUD() {
-        document.getElementById('score').textContent = `score: ${this.score}`;
-        document.getElementById('lives').textContent = `lives: ${this.lives}`;
-        const difficultyText = Math.floor((this.difficulty - 1) * 100);
-        document.getElementById('difficulty').textContent = 
-            difficultyText > 0 ? `difficulty: +${difficultyText}%` : '';
+    updateMuteButton() {
+        document.getElementById('muteButton').textContent = this.audio.settings.muted ? '🔇 sound off' : '🔊 sound on';
     }
 
-    createFloatingText(x, y, points) {
-        const color = this.getScoreColor(points);
-        this.floatingTexts.push({
-            x: x,
-            y: y,
-            text: `+${points}`,
-            color: color,
-            alpha: 1,
-            scale: 1,
-            life: 0.5, // Life in seconds
-            creation: Date.now()
+    selectMode(mode) {
+        this.selectedMode = mode;
+        document.querySelectorAll('.mode-option').forEach(button => {
+            button.classList.toggle('selected', button.dataset.mode === mode);
         });
+        document.getElementById('mode-description').textContent = this.modes[mode].description;
+        document.getElementById('level-select').classList.toggle('hidden', !this.modes[mode].campaign);
+        if (this.modes[mode].campaign) {
+            this.selectLevel(this.selectedLevel);
+        }
     }
 
-    getScoreColor(points) {
-        // Find the closest defined point value color
-        const pointValues = Object.keys(this.scoreColors)
-            .map(Number)
-            .sort((a, b) => b - a); // Sort descending
+    // Rebuilds the campaign's level buttons, since unlocks change between runs
+    selectLevel(levelId) {
+        this.selectedLevel = levelId;
+        const container = document.getElementById('level-select');
+        container.replaceChildren();
+        CAMPAIGN_LEVELS.forEach((level, index) => {
+            const unlocked = this.campaign.isUnlocked(index);
+            const button = document.createElement('button');
+            button.className = 'level-option';
+            button.textContent = unlocked ? `${index + 1}. ${level.name}` : `🔒 ${index + 1}`;
+            button.disabled = !unlocked;
+            button.classList.toggle('selected', level.id === levelId);
+            button.addEventListener('click', () => this.selectLevel(level.id));
+            container.appendChild(button);
+        });
         
-        for (const value of pointValues) {
-            if (points >= value) {
-                return this.scoreColors[value];
-            }
+        const best = this.campaign.best[levelId];
+        document.getElementById('mode-description').textContent =
+            `${this.modes.campaign.description}${best ? ` · best: ${best}` : ''}`;
+    }
+
+    selectPreset(preset) {
+        this.selectedPreset = preset;
+        document.querySelectorAll('.preset-option').forEach(button => {
+            button.classList.toggle('selected', button.dataset.preset === preset);
+        });
+    }
+
+    pickSeed() {
+        // ?seed=1234 replays a run from a tester's bug report
+        const requested = new URLSearchParams(window.location.search).get('seed');
+        if (requested !== null && requested !== '') {
+            return /^\d+$/.test(requested) ? Number(requested) >>> 0 : SeededRandom.hashString(requested);
         }
-        return this.scoreColors[10]; // Default color
+        return Math.floor(Math.random() * 4294967296) >>> 0;
     }
 
-    updateFloatingTexts() {
-        const currentTime = Date.now();
-        for (let i = this.floatingTexts.length - 1; i >= 0; i--) {
-            const text = this.floatingTexts[i];
-            const age = (currentTime - text.creation) / 1000; // Age in seconds
-            
-            if (age >= text.life) {
-                this.floatingTexts.splice(i, 1);
-                continue;
+    queueInput(type, x = 0, y = 0, pointerId = 0, inputType = 'mouse') {
+        if (!this.gameActive || this.replay) return;
+        if (this.paused && type !== 'resize') return; // Blades were released at the pause
+        // Rounded here so the live run and its replay see identical coordinates
+        this.pendingInput.push({
+            type,
+            x: Math.round(x * 100) / 100,
+            y: Math.round(y * 100) / 100,
+            pointerId,
+            inputType
+        });
+    }
+
+    // This tick's input, either from the listeners (recording it) or from a replay
+    takeInput() {
+        const tick = this.sim.tick + 1; // The tick it's applied on
+        if (this.replay) {
+            const events = [];
+            const input = this.replay.input;
+            while (this.replayCursor < input.length && input[this.replayCursor][0] <= tick) {
+                const [, type, x, y, pointerId = 0, inputType = 'mouse'] = input[this.replayCursor++];
+                events.push({ type, x, y, pointerId, inputType });
             }
-            
-            // Update text properties
-            const progress = age / text.life;
-            text.y -= 1; // Float upward
-            text.alpha = 1 - progress;
-            text.scale = 1 + progress * 0.5; // Grow slightly while fading
+            return events;
+        }
+        
+        const events = this.pendingInput;
+        this.pendingInput = [];
+        for (const event of events) {
+            this.recording.push([tick, event.type, event.x, event.y, event.pointerId, event.inputType]);
         }
+        return events;
     }
 
-    drawFloatingTexts() {
-        for (const text of this.floatingTexts) {
-            this.ctx.save();
-            this.ctx.globalAlpha = text.alpha;
-            this.ctx.fillStyle = text.color;
-            // Adjust font size for mobile
-            const baseFontSize = this.isMobile ? 20 : 24;
-            this.ctx.font = `${Math.floor(baseFontSize * text.scale)}px Arial`;
-            this.ctx.textAlign = 'center';
-            this.ctx.textBaseline = 'middle';
-            this.ctx.fillText(text.text, text.x, text.y);
-            this.ctx.restore();
-        }
+    buildReplay() {
+        return {
+            format: 'lemonoslicer-replay',
+            version: 1,
+            seed: this.seed,
+            settings: this.runSettings,
+            result: {
+                score: this.sim.score,
+                fruitsSliced: this.sim.fruitsSliced,
+                ticks: this.sim.tick
+            },
+            recordedAt: new Date().toISOString(),
+            input: this.recording // [tick, type, x, y]
+        };
     }
 
-    checkCollision(lemon) {
-        if (lemon.sliced) return false;
-        
-        // Only check the last two actual movement points for collision
-        if (this.blade.positions.length < 2) return false;
+    downloadReplay() {
+        if (!this.lastRun) return;
         
-        const currentPos = this.blade.positions[this.blade.positions.length - 1];
-        const prevPos = this.blade.positions[this.blade.positions.length - 2];
+        const blob = new Blob([JSON.stringify(this.lastRun)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `lemonoslicer-${this.lastRun.seed}-${this.lastRun.result.score}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    parseReplay(text) {
+        const replay = JSON.parse(text);
+        if (replay.format !== 'lemonoslicer-replay') {
+            throw new Error('not a lemono slicer replay');
+        }
+        if (replay.version !== 1) {
+            throw new Error(`unsupported replay version ${replay.version}`);
+        }
+        const settings = replay.settings || {};
+        const result = replay.result || {};
+        if (!Number.isFinite(settings.width) || !Number.isFinite(settings.height) || !Array.isArray(settings.fruits) ||
+            !Array.isArray(replay.input) || !Number.isInteger(result.ticks) || !Number.isFinite(result.score)) {
+            throw new Error('replay is missing its settings, input or result');
+        }
+        if (!this.modes[settings.mode]) {
+            throw new Error(`unknown game mode ${settings.mode}`);
+        }
+        if (settings.preset !== undefined && !this.presets[settings.preset]) {
+            throw new Error(`unknown difficulty ${settings.preset}`);
+        }
+        if (this.modes[settings.mode].campaign && !CAMPAIGN_LEVELS.some(level => level.id === settings.level)) {
+            throw new Error(`unknown campaign level ${settings.level}`);
+        }
+        if (settings.fixedTimeStep !== this.fixedTimeStep) {
+            throw new Error('replay was recorded with a different timestep');
+        }
+        if (settings.fruits.join() !== this.specialFruits.map(fruit => fruit.name).join()) {
+            console.warn('Replay was recorded with a different fruit catalog, playback may diverge');
+        }
+        return replay;
+    }
+
+    loadReplayFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.startGame({ replay: this.parseReplay(reader.result) });
+            } catch (error) {
+                console.error('Could not load replay:', error);
+                document.getElementById('replay-error').textContent = `bad replay: ${error.message}`;
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    async loadAssets() {
+        this.setStartEnabled(false);
+        const onProgress = (settled, total) => this.showLoadingProgress(settled, total);
         
-        // Ensure the points are from recent movement (within last frame)
-        const timeDiff = currentPos.time - prevPos.time;
-        if (timeDiff > 32) return false; // Skip if points are too far apart in time
+        // The manifest decides which images there are, so it loads first
+        this.assets.addJson('fruit-manifest', FRUIT_MANIFEST_URL);
+        await this.assets.loadAll(onProgress);
+        this.loadFruitCatalog(this.assets.get('fruit-manifest'));
+        await this.assets.loadAll(onProgress);
         
-        const centerX = lemon.x + lemon.width / 2;
-        const centerY = lemon.y + lemon.height / 2;
+        for (const fruit of this.specialFruits) {
+            fruit.image = this.assets.get(`fruit:${fruit.name}`);
+            fruit.hitShape = computeAlphaHull(fruit.image); // null falls back to hitRadius
+        }
         
-        const distance = this.pointToLineDistance(
-            centerX, centerY,
-            prevPos.x, prevPos.y,
-            currentPos.x, currentPos.y
-        );
+        const failedImages = this.assets.failed.filter(asset => asset.type === 'image');
+        if (failedImages.length > 0) {
+            document.getElementById('asset-error').textContent =
+                `missing art for ${failedImages.map(asset => asset.key.replace('fruit:', '')).join(', ')} (see console)`;
+        }
         
-        if (distance < (lemon.isSpecial ? 40 : 30)) {
-            // Calculate slice angle based on actual movement
-            lemon.sliceAngle = Math.atan2(currentPos.y - prevPos.y, currentPos.x - prevPos.x);
-            
-            // Set up the physics for the two halves
-            const sliceForce = 8;
-            const perpAngle = lemon.sliceAngle + Math.PI / 2;
-            
-            lemon.leftHalf = {
-                offsetX: 0,
-                offsetY: 0,
-                rotation: lemon.rotation,
-                speedX: lemon.speedX - Math.cos(perpAngle) * sliceForce,
-                speedY: lemon.speedY - Math.sin(perpAngle) * sliceForce,
-                rotationSpeed: -0.1
-            };
-            
-            lemon.rightHalf = {
-                offsetX: 0,
-                offsetY: 0,
-                rotation: lemon.rotation,
-                speedX: lemon.speedX + Math.cos(perpAngle) * sliceForce,
-                speedY: lemon.speedY + Math.sin(perpAngle) * sliceForce,
-                rotationSpeed: 0.1
-            };
-            
-            // Create floating score text at slice position
-            const points = lemon.isSpecial ? lemon.specialFruit.points : 10;
-            this.createFloatingText(centerX, centerY, points);
-            
-            return true;
+        this.assetsReady = true;
+        document.getElementById('loading').classList.add('hidden');
+        this.setStartEnabled(true);
+    }
+
+    showLoadingProgress(settled, total) {
+        const progress = total > 0 ? settled / total : 0;
+        document.getElementById('loading-bar').style.width = `${Math.round(progress * 100)}%`;
+        document.getElementById('loading-text').textContent = `loading lemonos.. ${settled}/${total}`;
+    }
+
+    setStartEnabled(enabled) {
+        for (const id of ['startButton', 'dailyButton', 'replayButton']) {
+            document.getElementById(id).disabled = !enabled;
         }
-        return false;
     }
 
-    pointToLineDistance(x, y, x1, y1, x2, y2) {
-        const A = x - x1;
-        const B = y - y1;
-        const C = x2 - x1;
-        const D = y2 - y1;
-        
-        const dot = A * C + B * D;
-        const lenSq = C * C + D * D;
-        let param = -1;
-        
-        if (lenSq !== 0) param = dot / lenSq;
-        
-        let xx, yy;
+    loadFruitCatalog(manifest) {
+        if (!manifest) {
+            this.reportCatalogErrors([`could not load ${FRUIT_MANIFEST_URL}, only plain lemons today`]);
+            return;
+        }
         
-        if (param < 0) {
-            xx = x1;
-            yy = y1;
-        } else if (param > 1) {
-            xx = x2;
-            yy = y2;
-        } else {
-            xx = x1 + param * C;
-            yy = y1 + param * D;
+        if (manifest.version !== FRUIT_MANIFEST_VERSION || !Array.isArray(manifest.fruits)) {
+            this.reportCatalogErrors([`${FRUIT_MANIFEST_URL} must be { "version": ${FRUIT_MANIFEST_VERSION}, "fruits": [...] }`]);
+            return;
         }
         
-        const dx = x - xx;
-        const dy = y - yy;
+        // Keep every good entry, skip and report the bad ones
+        const errors = [];
+        const seenNames = new Set();
+        manifest.fruits.forEach((entry, index) => {
+            const problems = validateFruitEntry(entry, seenNames);
+            if (problems.length > 0) {
+                const label = entry && typeof entry.name === 'string' ? ` ("${entry.name}")` : '';
+                errors.push(`fruit #${index + 1}${label}: ${problems.join('; ')}`);
+                return;
+            }
+            
+            seenNames.add(entry.name);
+            this.assets.addImage(`fruit:${entry.name}`, entry.image);
+            this.specialFruits.push({
+                name: entry.name,
+                image: null, // Filled in once the loader is done
+                hitShape: null,
+                points: entry.points,
+                rarity: entry.rarity,
+                size: entry.size,
+                mobileSize: entry.mobileSize || Math.round(entry.size * 0.875),
+                hitRadius: entry.hitRadius,
+                sliceColor: entry.sliceColor,
+                minDifficulty: entry.minDifficulty,
+                hp: entry.hp || 1
+            });
+        });
         
-        return Math.sqrt(dx * dx + dy * dy);
+        if (errors.length > 0) {
+            this.reportCatalogErrors(errors);
+        }
     }
 
-    handleBoundaryCollision(lemon) {
-        // Handle boundary collision for whole lemon
-        if (!lemon.sliced) {
-            if (lemon.x < 0) {
-                lemon.x = 0;
-                lemon.speedX = Math.abs(lemon.speedX) * 0.8; // Bounce with 20% speed loss
-            } else if (lemon.x + lemon.width > this.canvas.width) {
-                lemon.x = this.canvas.width - lemon.width;
-                lemon.speedX = -Math.abs(lemon.speedX) * 0.8;
-            }
-        } else {
-            // Handle boundary collision for left half
-            const leftX = lemon.x + lemon.leftHalf.offsetX;
-            if (leftX < 0) {
-                lemon.leftHalf.offsetX = -lemon.x;
-                lemon.leftHalf.speedX = Math.abs(lemon.leftHalf.speedX) * 0.8;
-            } else if (leftX + lemon.width > this.canvas.width) {
-                lemon.leftHalf.offsetX = this.canvas.width - lemon.width - lemon.x;
-                lemon.leftHalf.speedX = -Math.abs(lemon.leftHalf.speedX) * 0.8;
-            }
-
-            // Handle boundary collision for right half
-            const rightX = lemon.x + lemon.rightHalf.offsetX;
-            if (rightX < 0) {
-                lemon.rightHalf.offsetX = -lemon.x;
-                lemon.rightHalf.speedX = Math.abs(lemon.rightHalf.speedX) * 0.8;
-            } else if (rightX + lemon.width > this.canvas.width) {
-                lemon.rightHalf.offsetX = this.canvas.width - lemon.width - lemon.x;
-                lemon.rightHalf.speedX = -Math.abs(lemon.rightHalf.speedX) * 0.8;
-            }
+    reportCatalogErrors(errors) {
+        for (const error of errors) {
+            console.error(`${FRUIT_MANIFEST_URL}: ${error}`);
         }
+        document.getElementById('catalog-error').textContent =
+            `${FRUIT_MANIFEST_URL}: ${errors.length} problem${errors.length === 1 ? '' : 's'} (see console)`;
     }
 
     gameLoop(currentTime) {
-        if (!this.gameActive) return;
+        if (this.state !== 'running') return;
 
         if (!this.lastTime) {
             this.lastTime = currentTime;
@@ -638,283 +1423,225 @@ class Game {
         this.deltaTime = Math.min(currentTime - this.lastTime, 32); // Cap at ~30 FPS minimum
         this.lastTime = currentTime;
         
+        // Controllers and keys are polled, their moves land on the next tick like pointer input
+        for (const cursor of this.cursorInputs) {
+            cursor.poll(this.deltaTime);
+        }
+        
         // Accumulate time for fixed timestep updates
         this.timeAccumulator += this.deltaTime;
 
-        // Update game state with fixed timestep
-        while (this.timeAccumulator >= this.fixedTimeStep) {
+        // Update game state with fixed timestep (stop as soon as the run ends)
+        while (this.timeAccumulator >= this.fixedTimeStep && this.state === 'running') {
             this.updateGame(this.fixedTimeStep);
             this.timeAccumulator -= this.fixedTimeStep;
         }
 
-        // Render at whatever frame rate the browser provides
-        this.render();
+        // Render at whatever frame rate the browser provides (a replay has no live cursors)
+        this.renderer.render(this.sim, this.replay ? [] : this.cursorInputs);
         
-        requestAnimationFrame((time) => this.gameLoop(time));
+        if (this.state === 'running') {
+            this.animationFrame = requestAnimationFrame((time) => this.gameLoop(time));
+        }
     }
 
+    // One simulation tick with this tick's input, then the sights and sounds of whatever happened
     updateGame(deltaMs) {
-        // Convert milliseconds to seconds for physics calculations
-        const dt = deltaMs / 1000;
+        const events = this.sim.step(this.takeInput(), deltaMs);
         
-        // Update floating texts
-        this.updateFloatingTexts();
+        // A diverging replay would otherwise play on forever
+        if (this.replay && this.sim.tick >= this.replay.result.ticks) {
+            this.sim.finish(); // Adds to the same events
+        }
         
-        // Update lemons
-        for (let i = this.lemons.length - 1; i >= 0; i--) {
-            const lemon = this.lemons[i];
-            
-            if (!lemon.sliced) {
-                lemon.x += lemon.speedX * dt * 60; // Scale by 60 to maintain original speed values
-                lemon.y += lemon.speedY * dt * 60;
-                lemon.speedY += this.difficultySettings.gravity * dt * 60;
-                lemon.rotation += lemon.rotationSpeed * dt * 60;
-            } else {
-                // Update the two halves
-                lemon.leftHalf.offsetX += lemon.leftHalf.speedX * dt * 60;
-                lemon.leftHalf.offsetY += lemon.leftHalf.speedY * dt * 60;
-                lemon.leftHalf.speedY += this.difficultySettings.gravity * dt * 60;
-                lemon.leftHalf.rotation += lemon.leftHalf.rotationSpeed * dt * 60;
-                
-                lemon.rightHalf.offsetX += lemon.rightHalf.speedX * dt * 60;
-                lemon.rightHalf.offsetY += lemon.rightHalf.speedY * dt * 60;
-                lemon.rightHalf.speedY += this.difficultySettings.gravity * dt * 60;
-                lemon.rightHalf.rotation += lemon.rightHalf.rotationSpeed * dt * 60;
-            }
-            
-            // Handle boundary collisions
-            this.handleBoundaryCollision(lemon);
-            
-            if (!lemon.sliced && this.checkCollision(lemon)) {
-                lemon.sliced = true;
-                if (lemon.isSpecial) {
-                    this.score += lemon.specialFruit.points;
-                } else {
-                    this.score += 10;
-                }
-                this.fruitsSliced++;
-                this.updateHUD();
-            }
-            
-            // Remove off-screen lemons
-            if (!lemon.sliced && lemon.y > this.canvas.height + 100) {
-                this.lemons.splice(i, 1);
-                this.lives--;
-                this.updateHUD();
-                if (this.lives <= 0) {
-                    this.gameOver();
-                }
-            } else if (lemon.sliced && 
-                      lemon.leftHalf.offsetY > this.canvas.height + 100 && 
-                      lemon.rightHalf.offsetY > this.canvas.height + 100) {
-                this.lemons.splice(i, 1);
-            }
+        this.renderer.update(this.sim, deltaMs);
+        for (const event of events) {
+            this.handleEvent(event);
         }
+        this.hud.update(this.sim);
     }
 
-    handleResize() {
-        // Update any size-dependent game elements
-        this.blade.clear(); // Clear blade trail on resize
-    }
-
-    render() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        // Draw blade trail and/or cursor dot
-        if (this.blade.positions.length > 1) {
-            // Update blade trail even if not moving
-            this.blade.update(this.blade.lastX, this.blade.lastY);
-            
-            // Draw outer glow
-            this.ctx.shadowBlur = 20;
-            this.ctx.shadowColor = 'rgba(255, 255, 255, 0.5)';
-            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-            this.ctx.lineWidth = 10;
-            this.ctx.lineCap = 'round';
-            this.ctx.lineJoin = 'round';
-            
-            // Draw trail with varying width and opacity based on age
-            for (let i = 1; i < this.blade.positions.length; i++) {
-                const pos = this.blade.positions[i];
-                const prevPos = this.blade.positions[i - 1];
-                const age = Date.now() - pos.time;
-                const opacity = Math.max(0, 1 - age / this.blade.maxPointAge);
-                
-                this.ctx.beginPath();
-                this.ctx.strokeStyle = `rgba(255, 255, 255, ${opacity * 0.8})`;
-                this.ctx.lineWidth = Math.max(1, 10 * (1 - i / this.blade.positions.length) * opacity);
-                
-                this.ctx.moveTo(prevPos.x, prevPos.y);
-                this.ctx.lineTo(pos.x, pos.y);
-                this.ctx.stroke();
+    handleEvent(event) {
+        const lemon = event.lemon;
+        if (event.type === 'spawn') {
+            if (lemon.isSpecial) {
+                this.audio.playSpecialSpawn();
             }
-            
-            // Draw core line (bright white center) only if points are recent
-            if (this.blade.positions.length >= 2) {
-                const lastPointAge = Date.now() - this.blade.positions[this.blade.positions.length - 1].time;
-                if (lastPointAge < 32) { // Only draw core line for very recent movement
-                    this.ctx.shadowBlur = 0;
-                    this.ctx.strokeStyle = 'white';
-                    this.ctx.lineWidth = 2;
-                    
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(
-                        this.blade.positions[this.blade.positions.length - 2].x,
-                        this.blade.positions[this.blade.positions.length - 2].y
-                    );
-                    this.ctx.lineTo(
-                        this.blade.positions[this.blade.positions.length - 1].x,
-                        this.blade.positions[this.blade.positions.length - 1].y
-                    );
-                    this.ctx.stroke();
-                }
-            }
-
-            // Draw cursor dot with inverse opacity (more visible when trail fades)
-            let dotOpacity = 0.7;
-            if (this.blade.positions.length > 0) {
-                const lastPos = this.blade.positions[this.blade.positions.length - 1];
-                const age = Date.now() - lastPos.time;
-                dotOpacity = Math.min(1, age / this.blade.maxPointAge);
-            }
-            
-            // Draw outer glow for cursor dot
-            this.ctx.beginPath();
-            this.ctx.shadowBlur = 15;
-            this.ctx.shadowColor = `rgba(255, 255, 255, ${dotOpacity * 0.7})`;
-            this.ctx.fillStyle = `rgba(255, 255, 255, ${dotOpacity * 0.7})`;
-            this.ctx.arc(this.blade.lastX, this.blade.lastY, 6, 0, Math.PI * 2);
-            this.ctx.fill();
-            
-            // Draw inner dot
-            this.ctx.beginPath();
-            this.ctx.shadowBlur = 0;
-            this.ctx.fillStyle = `rgba(255, 255, 255, ${dotOpacity})`;
-            this.ctx.arc(this.blade.lastX, this.blade.lastY, 3, 0, Math.PI * 2);
-            this.ctx.fill();
-        } else if (this.gameActive) {
-            // Draw default cursor dot when no trail exists
-            this.ctx.beginPath();
-            this.ctx.shadowBlur = 15;
-            this.ctx.shadowColor = 'rgba(255, 255, 255, 0.7)';
-            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
-            this.ctx.arc(this.blade.lastX, this.blade.lastY, 6, 0, Math.PI * 2);
-            this.ctx.fill();
-            
-            this.ctx.beginPath();
-            this.ctx.shadowBlur = 0;
-            this.ctx.fillStyle = 'white';
-            this.ctx.arc(this.blade.lastX, this.blade.lastY, 3, 0, Math.PI * 2);
-            this.ctx.fill();
-        }
-        
-        // Draw lemons
-        for (const lemon of this.lemons) {
-            if (!lemon.sliced) {
-                this.drawLemon(lemon);
-            } else {
-                this.drawLemonHalf(lemon, true);
-                this.drawLemonHalf(lemon, false);
+        } else if (event.type === 'slice') {
+            this.renderer.splashJuice(lemon);
+            this.renderer.createFloatingText(lemon.x + lemon.width / 2, lemon.y + lemon.height / 2, event.points);
+            this.audio.playSlice(event.points);
+        } else if (event.type === 'miss') {
+            this.audio.playMiss();
+        } else if (event.type === 'bomb') {
+            this.renderer.explode(lemon);
+            this.audio.playBomb();
+            if (event.penalty > 0) {
+                this.renderer.createFloatingText(lemon.x + lemon.width / 2, lemon.y, -event.penalty);
             }
+        } else if (event.type === 'combo') {
+            this.renderer.createComboText(event.x, event.y, event.cuts, event.bonus);
+            this.audio.playCombo(event.cuts);
+        } else if (event.type === 'timeBonus') {
+            this.audio.playTimeBonus();
+            this.renderer.createBannerText(lemon.x + lemon.width / 2, lemon.y - 20, `+${event.seconds}s`, '#00BFFF', 0.8);
+        } else if (event.type === 'powerUp') {
+            const powerUp = event.powerUp;
+            this.audio.playPowerUp();
+            this.renderer.createBannerText(lemon.x + lemon.width / 2, lemon.y - 20,
+                `${powerUp.icon} ${powerUp.name.toUpperCase()}!`, powerUp.color, 1);
+        } else if (event.type === 'wave') {
+            const text = event.wave > event.waves ? `${this.sim.level.name.toUpperCase()}!` : `WAVE ${event.wave}`;
+            this.renderer.createBannerText(this.canvas.width / 2, this.canvas.height / 2, text, '#FFD700', 1.5);
+        } else if (event.type === 'hit') {
+            this.renderer.splashJuice(lemon);
+            this.renderer.createFloatingText(lemon.x + lemon.width / 2, lemon.y + lemon.height / 2, event.points);
+            this.audio.playArmorHit();
+        } else if (event.type === 'levelClear') {
+            this.audio.playCombo(8);
+            this.renderer.createBannerText(this.canvas.width / 2, this.canvas.height / 2, 'LEVEL CLEARED!', '#7CFC00', 1.5);
+        } else if (event.type === 'resize') {
+            this.canvas.width = event.width;
+            this.canvas.height = event.height;
+        } else if (event.type === 'over') {
+            this.gameOver();
         }
-        
-        // Draw floating texts
-        this.drawFloatingTexts();
     }
 
-    drawLemon(lemon) {
-        this.ctx.save();
-        this.ctx.translate(lemon.x + lemon.width / 2, lemon.y + lemon.height / 2);
-        this.ctx.rotate(lemon.rotation);
+    submitHighScore() {
+        if (!this.pendingScore) return;
         
-        if (lemon.isSpecial && lemon.specialFruit.image.complete) {
-            // Draw special fruit image
-            this.ctx.drawImage(
-                lemon.specialFruit.image,
-                -lemon.width / 2,
-                -lemon.height / 2,
-                lemon.width,
-                lemon.height
-            );
-        } else {
-            // Draw regular lemon
-            this.ctx.fillStyle = '#FFD700';
-            this.ctx.beginPath();
-            this.ctx.ellipse(0, 0, lemon.width / 2, lemon.height / 2, 0, 0, Math.PI * 2);
-            this.ctx.fill();
-        }
+        const input = document.getElementById('initials-input');
+        const initials = input.value.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3) || '???';
+        const { mode, ...entry } = this.pendingScore;
+        const rank = this.highScores.add(mode, { ...entry, initials });
+        this.pendingScore = null;
         
-        this.ctx.restore();
+        document.getElementById('initials-form').classList.add('hidden');
+        document.getElementById('initials-prompt').textContent = rank > 0 ? `saved! rank #${rank}` : 'saved!';
     }
 
-    drawLemonHalf(lemon, isLeft) {
-        const half = isLeft ? lemon.leftHalf : lemon.rightHalf;
-        const baseX = lemon.x + half.offsetX;
-        const baseY = lemon.y + half.offsetY;
-        const angle = lemon.sliceAngle + (isLeft ? Math.PI : 0);
+    showLeaderboard(mode) {
+        // Daily runs have no table, fall back to classic
+        this.leaderboardMode = this.modes[mode].leaderboard ? mode : 'classic';
+        const entries = this.highScores.getEntries(this.leaderboardMode);
+        document.querySelectorAll('.leaderboard-tab').forEach(button => {
+            button.classList.toggle('selected', button.dataset.mode === this.leaderboardMode);
+        });
         
-        this.ctx.save();
-        this.ctx.translate(baseX + lemon.width / 2, baseY + lemon.height / 2);
-        this.ctx.rotate(half.rotation);
+        const table = document.getElementById('leaderboard-table');
+        table.replaceChildren();
         
-        if (lemon.isSpecial && lemon.specialFruit.image.complete) {
-            // Draw half of special fruit
-            this.ctx.beginPath();
-            this.ctx.arc(0, 0, lemon.width / 2, 0, Math.PI * 2);
-            this.ctx.clip();
-            
-            // Clear one half
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, 0);
-            this.ctx.lineTo(Math.cos(angle) * lemon.width, Math.sin(angle) * lemon.width);
-            this.ctx.lineTo(Math.cos(angle + Math.PI/2) * lemon.width, Math.sin(angle + Math.PI/2) * lemon.width);
-            this.ctx.lineTo(Math.cos(angle + Math.PI) * lemon.width, Math.sin(angle + Math.PI) * lemon.width);
-            this.ctx.closePath();
-            this.ctx.clip();
-            
-            this.ctx.drawImage(
-                lemon.specialFruit.image,
-                -lemon.width / 2,
-                -lemon.height / 2,
-                lemon.width,
-                lemon.height
-            );
-        } else {
-            // Draw regular lemon half
-            this.ctx.fillStyle = '#FFD700';
-            this.ctx.beginPath();
-            this.ctx.ellipse(0, 0, lemon.width / 2, lemon.height / 2, 0, 0, Math.PI * 2);
-            this.ctx.clip();
-            
-            // Clear one half
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, 0);
-            this.ctx.lineTo(Math.cos(angle) * lemon.width, Math.sin(angle) * lemon.width);
-            this.ctx.lineTo(Math.cos(angle + Math.PI/2) * lemon.width, Math.sin(angle + Math.PI/2) * lemon.width);
-            this.ctx.lineTo(Math.cos(angle + Math.PI) * lemon.width, Math.sin(angle + Math.PI) * lemon.width);
-            this.ctx.closePath();
-            this.ctx.fillStyle = '#FFD700';
-            this.ctx.fill();
-        }
+        const addRow = (cells, cellTag) => {
+            const row = document.createElement('tr');
+            for (const cell of cells) {
+                const element = document.createElement(cellTag);
+                element.textContent = cell; // textContent, initials are user input
+                row.appendChild(element);
+            }
+            table.appendChild(row);
+        };
         
-        // Draw slice line
-        this.ctx.beginPath();
-        this.ctx.moveTo(-lemon.width/2 * Math.cos(angle), -lemon.width/2 * Math.sin(angle));
-        this.ctx.lineTo(lemon.width/2 * Math.cos(angle), lemon.width/2 * Math.sin(angle));
-        this.ctx.strokeStyle = lemon.isSpecial ? '#ff69b4' : '#FFE4B5';
-        this.ctx.lineWidth = 2;
-        this.ctx.stroke();
+        addRow(['#', 'name', 'score', 'difficulty', 'sliced', 'time', 'date'], 'th');
+        entries.forEach((entry, index) => {
+            const minutes = Math.floor(entry.duration / 60);
+            const seconds = String(entry.duration % 60).padStart(2, '0');
+            addRow([
+                index + 1,
+                entry.initials,
+                entry.score,
+                entry.difficulty,
+                entry.fruitsSliced,
+                `${minutes}:${seconds}`,
+                new Date(entry.date).toLocaleDateString()
+            ], 'td');
+        });
         
-        this.ctx.restore();
+        document.getElementById('leaderboard-empty').classList.toggle('hidden', entries.length > 0);
+        document.getElementById('menu').classList.add('hidden');
+        document.getElementById('leaderboard').classList.remove('hidden');
+    }
+
+    hideLeaderboard() {
+        document.getElementById('leaderboard').classList.add('hidden');
+        document.getElementById('menu').classList.remove('hidden');
     }
 
     gameOver() {
-        this.gameActive = false;
-        document.body.classList.remove('game-active'); // Restore normal cursor
+        const sim = this.sim;
+        this.setState('over');
+        this.audio.playGameOver();
         document.getElementById('game-over').classList.remove('hidden');
         document.getElementById('hud').classList.add('hidden');
-        document.getElementById('final-score').textContent = `final score: ${this.score}`;
-        document.getElementById('fruits-cut').textContent = `lemonos sliced: ${this.fruitsSliced}`;
+        const timeUp = sim.runDuration && sim.simTime >= sim.runDuration;
+        let title = timeUp ? "time's up!" : 'lemono won..';
+        if (sim.levelCleared) {
+            title = 'level cleared!';
+        }
+        document.getElementById('game-over-title').textContent = title;
+        document.getElementById('final-score').textContent = `final score: ${sim.score}`;
+        document.getElementById('fruits-cut').textContent = `lemonos sliced: ${sim.fruitsSliced}`;
+        document.getElementById('run-seed').textContent = `seed: ${this.seed} · ${sim.preset.name}`;
+        document.getElementById('combo-stats').textContent = sim.comboCount > 0
+            ? `best combo: ${sim.bestCombo} (${sim.comboCount} combo${sim.comboCount === 1 ? '' : 's'}, +${sim.comboBonus})`
+            : 'best combo: none';
+        
+        document.getElementById('replay-result').textContent = this.replay
+            ? `replay ${sim.score === this.replay.result.score ? 'matches' : 'DOES NOT match'} the recorded score of ${this.replay.result.score}`
+            : '';
+        if (!this.replay) {
+            this.lastRun = this.buildReplay();
+        }
+        document.getElementById('downloadReplayButton').classList.toggle('hidden', !this.lastRun || !!this.replay);
+        
+        // Daily runs count towards today's best and the streak instead of the leaderboard
+        const dailyStats = document.getElementById('daily-stats');
+        if (this.dailyDate && !this.replay) {
+            const day = this.dailyRecords.record(this.dailyDate, sim.score);
+            const streak = this.dailyRecords.getStreak(this.dailyDate);
+            dailyStats.textContent = `today's best: ${day.best} · streak: ${streak} day${streak === 1 ? '' : 's'}`;
+            dailyStats.classList.remove('hidden');
+        } else {
+            dailyStats.classList.add('hidden');
+        }
+        
+        // Campaign runs keep the level's best score and unlock the next level
+        const campaignStats = document.getElementById('campaign-stats');
+        if (sim.level && !this.replay) {
+            const unlocked = this.campaign.record(sim.level.id, sim.score, sim.levelCleared);
+            const best = `${sim.level.name} best: ${this.campaign.best[sim.level.id]}`;
+            campaignStats.textContent = unlocked ? `${best} · unlocked ${unlocked.name}!` : best;
+            campaignStats.classList.remove('hidden');
+            if (unlocked) {
+                this.selectedLevel = unlocked.id;
+            }
+        } else {
+            campaignStats.classList.add('hidden');
+        }
+        const levelIndex = sim.level ? CAMPAIGN_LEVELS.indexOf(sim.level) : -1;
+        const nextLevel = sim.levelCleared && !this.replay ? CAMPAIGN_LEVELS[levelIndex + 1] : null;
+        this.nextLevel = nextLevel ? nextLevel.id : null;
+        document.getElementById('playAgainButton').textContent = this.nextLevel ? 'next level' : 'try again?';
+        
+        // Offer the leaderboard if the run made the top 10 (replays are only for review)
+        const initialsEntry = document.getElementById('initials-entry');
+        if (!this.replay && this.mode.leaderboard && this.highScores.qualifies(this.mode.name, sim.score)) {
+            this.pendingScore = {
+                mode: this.mode.name,
+                score: sim.score,
+                difficulty: sim.preset.name,
+                fruitsSliced: sim.fruitsSliced,
+                duration: Math.round(sim.simTime / 1000), // Run time, pauses excluded
+                date: new Date().toISOString()
+            };
+            document.getElementById('initials-prompt').textContent = `new ${this.mode.name} high score! enter your initials`;
+            document.getElementById('initials-form').classList.remove('hidden');
+            document.getElementById('initials-input').value = '';
+            initialsEntry.classList.remove('hidden');
+        } else {
+            this.pendingScore = null;
+            initialsEntry.classList.add('hidden');
+        }
     }
 }
 
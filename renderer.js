@@ -0,0 +1,749 @@
+// Canvas renderer: draws a Simulation's state plus the purely cosmetic effects around it
+// (juice, splatter, explosions, floating scores). Nothing here feeds back into the run, so
+// it's free to use Math.random() and the wall clock.
+
+// Fixed-size particle pool: particles are recycled instead of allocated every slice
+class ParticlePool {
+    constructor(capacity) {
+        this.particles = [];
+        for (let i = 0; i < capacity; i++) {
+            this.particles.push({
+                active: false,
+                x: 0,
+                y: 0,
+                speedX: 0,
+                speedY: 0,
+                size: 0,
+                color: '',
+                age: 0,
+                life: 0
+            });
+        }
+        this.cursor = 0;
+    }
+
+    emit(x, y, speedX, speedY, size, color, life) {
+        // Take the next free slot, or recycle the one under the cursor when the pool is full
+        const count = this.particles.length;
+        let index = this.cursor;
+        for (let i = 0; i < count; i++) {
+            const candidate = (this.cursor + i) % count;
+            if (!this.particles[candidate].active) {
+                index = candidate;
+                break;
+            }
+        }
+        this.cursor = (index + 1) % count;
+        
+        const particle = this.particles[index];
+        particle.active = true;
+        particle.x = x;
+        particle.y = y;
+        particle.speedX = speedX;
+        particle.speedY = speedY;
+        particle.size = size;
+        particle.color = color;
+        particle.age = 0;
+        particle.life = life;
+    }
+
+    update(dt, gravity) {
+        for (const particle of this.particles) {
+            if (!particle.active) continue;
+            
+            particle.age += dt;
+            if (particle.age >= particle.life) {
+                particle.active = false;
+                continue;
+            }
+            particle.x += particle.speedX * dt * 60;
+            particle.y += particle.speedY * dt * 60;
+            particle.speedY += gravity * dt * 60;
+        }
+    }
+
+    draw(ctx) {
+        for (const particle of this.particles) {
+            if (!particle.active) continue;
+            
+            ctx.globalAlpha = 1 - particle.age / particle.life;
+            ctx.fillStyle = particle.color;
+            ctx.beginPath();
+            ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    clear() {
+        for (const particle of this.particles) {
+            particle.active = false;
+        }
+    }
+}
+
+// Score colors based on point value
+const SCORE_COLORS = {
+    10: '#FFFFFF',     // Regular lemon: white
+    50: '#90EE90',     // Low bonus: light green
+    100: '#FFD700',    // Medium bonus: gold
+    150: '#FFA500',    // High bonus: orange
+    300: '#FF69B4'     // Highest bonus: hot pink
+};
+
+function getScoreColor(points) {
+    // Find the closest defined point value color
+    const pointValues = Object.keys(SCORE_COLORS)
+        .map(Number)
+        .sort((a, b) => b - a); // Sort descending
+    
+    for (const value of pointValues) {
+        if (points >= value) {
+            return SCORE_COLORS[value];
+        }
+    }
+    return SCORE_COLORS[10]; // Default color
+}
+
+// Crack polylines for armored fruit, in sprite space (-0.5..0.5); more show the more hp it's lost
+const CRACK_LINES = [
+    [{ x: -0.42, y: -0.18 }, { x: -0.22, y: -0.1 }, { x: -0.16, y: 0.06 }, { x: 0.02, y: 0.04 }],
+    [{ x: 0.38, y: -0.3 }, { x: 0.2, y: -0.16 }, { x: 0.22, y: 0.02 }, { x: 0.08, y: 0.14 }],
+    [{ x: 0.06, y: 0.46 }, { x: -0.04, y: 0.28 }, { x: 0.1, y: 0.18 }, { x: -0.06, y: 0.04 }],
+    [{ x: -0.3, y: 0.36 }, { x: -0.2, y: 0.22 }, { x: -0.3, y: 0.1 }],
+    [{ x: 0.04, y: -0.46 }, { x: -0.06, y: -0.3 }, { x: 0.08, y: -0.18 }]
+];
+
+class Renderer {
+    constructor(canvas, isMobileDevice) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.floatingTexts = [];
+        this.explosions = [];
+        
+        // Juice for plain lemons, special fruits bring their own sliceColor
+        this.lemonSliceColor = '#FFE135';
+        
+        // Juice particles and splatter, capped harder on mobile to protect frame time
+        this.particleSettings = isMobileDevice ? {
+            poolSize: 120,
+            dropletsPerSlice: 10,
+            stainsPerSlice: 2,
+            stainFadeInterval: 6, // Ticks between fade passes over the splatter layer
+            stainFadeAlpha: 0.03
+        } : {
+            poolSize: 400,
+            dropletsPerSlice: 24,
+            stainsPerSlice: 5,
+            stainFadeInterval: 6,
+            stainFadeAlpha: 0.025
+        };
+        this.particles = new ParticlePool(this.particleSettings.poolSize);
+        
+        // Background layer the splatter is painted onto, below the fruit
+        this.stainCanvas = document.createElement('canvas');
+        this.stainCtx = this.stainCanvas.getContext('2d');
+        
+        // ?hitboxes outlines what the blade actually has to cross
+        this.showHitShapes = new URLSearchParams(window.location.search).has('hitboxes');
+    }
+
+    // Wipes the previous run's juice, explosions and floating texts
+    reset() {
+        this.explosions = [];
+        this.floatingTexts = [];
+        this.particles.clear();
+        this.stainCtx.clearRect(0, 0, this.stainCanvas.width, this.stainCanvas.height);
+    }
+
+    // Moves the effects along by one simulation tick, slowed down by freeze like the fruit
+    update(sim, deltaMs) {
+        this.updateFloatingTexts();
+        this.particles.update(deltaMs / 1000 * sim.getTimeScale(), sim.difficultySettings.gravity);
+        if (sim.tick % this.particleSettings.stainFadeInterval === 0) {
+            this.fadeStains();
+        }
+    }
+
+    // Short announcement over a fruit, like a time bonus or a power-up
+    createBannerText(x, y, text, color, life) {
+        this.floatingTexts.push({
+            x: x,
+            y: y,
+            text: text,
+            color: color,
+            alpha: 1,
+            scale: 1,
+            life: life,
+            creation: Date.now()
+        });
+    }
+
+    explode(bomb) {
+        this.explosions.push({
+            x: bomb.x + bomb.width / 2,
+            y: bomb.y + bomb.height / 2,
+            life: 0.6, // Life in seconds
+            creation: Date.now()
+        });
+    }
+
+    createFloatingText(x, y, points) {
+        // Penalties show up red
+        const color = points < 0 ? '#FF4500' : getScoreColor(points);
+        this.floatingTexts.push({
+            x: x,
+            y: y,
+            text: points < 0 ? `${points}` : `+${points}`,
+            color: color,
+            alpha: 1,
+            scale: 1,
+            life: 0.5, // Life in seconds
+            creation: Date.now()
+        });
+    }
+
+    createComboText(x, y, cuts, bonus) {
+        this.floatingTexts.push({
+            x: x,
+            y: y,
+            text: `${cuts}x COMBO! +${bonus}`,
+            color: '#FF4500',
+            alpha: 1,
+            scale: 1,
+            life: 1.2, // Combos linger longer than regular scores
+            creation: Date.now(),
+            isCombo: true
+        });
+    }
+
+    updateFloatingTexts() {
+        const currentTime = Date.now();
+        for (let i = this.floatingTexts.length - 1; i >= 0; i--) {
+            const text = this.floatingTexts[i];
+            const age = (currentTime - text.creation) / 1000; // Age in seconds
+            
+            if (age >= text.life) {
+                this.floatingTexts.splice(i, 1);
+                continue;
+            }
+            
+            // Update text properties
+            const progress = age / text.life;
+            text.y -= 1; // Float upward
+            text.alpha = 1 - progress;
+            text.scale = 1 + progress * 0.5; // Grow slightly while fading
+        }
+    }
+
+    drawFloatingTexts(isMobile) {
+        for (const text of this.floatingTexts) {
+            this.ctx.save();
+            this.ctx.globalAlpha = text.alpha;
+            this.ctx.fillStyle = text.color;
+            // Adjust font size for mobile
+            const baseFontSize = (isMobile ? 20 : 24) * (text.isCombo ? 1.5 : 1);
+            this.ctx.font = `${text.isCombo ? 'bold ' : ''}${Math.floor(baseFontSize * text.scale)}px Arial`;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            if (text.isCombo) {
+                // Outline so the banner reads over fruit and juice
+                this.ctx.strokeStyle = '#FFFFFF';
+                this.ctx.lineWidth = 4;
+                this.ctx.strokeText(text.text, text.x, text.y);
+            }
+            this.ctx.fillText(text.text, text.x, text.y);
+            this.ctx.restore();
+        }
+    }
+
+    getSliceColor(lemon) {
+        if (lemon.isSpecial) return lemon.specialFruit.sliceColor;
+        if (lemon.isTimeBonus) return TIME_BONUS.sliceColor;
+        if (lemon.powerUp) return POWER_UPS[lemon.powerUp].color;
+        return this.lemonSliceColor;
+    }
+
+    // Purely cosmetic, so it uses Math.random() and leaves the seeded run untouched
+    splashJuice(lemon) {
+        const centerX = lemon.x + lemon.width / 2;
+        const centerY = lemon.y + lemon.height / 2;
+        const color = this.getSliceColor(lemon);
+        
+        // Droplets spray along the blade, fanning out a little
+        for (let i = 0; i < this.particleSettings.dropletsPerSlice; i++) {
+            const angle = lemon.sliceAngle + (Math.random() - 0.5) * 1.2;
+            const direction = Math.random() < 0.75 ? 1 : -1; // Some juice flies back against the swipe
+            const speed = 2 + Math.random() * 7;
+            this.particles.emit(
+                centerX + (Math.random() - 0.5) * lemon.width * 0.5,
+                centerY + (Math.random() - 0.5) * lemon.height * 0.5,
+                Math.cos(angle) * speed * direction + lemon.speedX * 0.3,
+                Math.sin(angle) * speed * direction + lemon.speedY * 0.3,
+                1.5 + Math.random() * 3,
+                color,
+                0.4 + Math.random() * 0.5
+            );
+        }
+        
+        // Stains are painted once and fade out with the layer
+        this.stainCtx.save();
+        this.stainCtx.fillStyle = color;
+        for (let i = 0; i < this.particleSettings.stainsPerSlice; i++) {
+            const distance = Math.random() * lemon.width;
+            const angle = lemon.sliceAngle + (Math.random() - 0.5) * 0.8;
+            const radius = 6 + Math.random() * lemon.width * 0.3;
+            this.stainCtx.globalAlpha = 0.25 + Math.random() * 0.2;
+            this.stainCtx.beginPath();
+            this.stainCtx.ellipse(
+                centerX + Math.cos(angle) * distance,
+                centerY + Math.sin(angle) * distance,
+                radius,
+                radius * (0.5 + Math.random() * 0.5),
+                angle,
+                0,
+                Math.PI * 2
+            );
+            this.stainCtx.fill();
+        }
+        this.stainCtx.restore();
+    }
+
+    fadeStains() {
+        this.stainCtx.save();
+        this.stainCtx.globalCompositeOperation = 'destination-out';
+        this.stainCtx.fillStyle = `rgba(0, 0, 0, ${this.particleSettings.stainFadeAlpha})`;
+        this.stainCtx.fillRect(0, 0, this.stainCanvas.width, this.stainCanvas.height);
+        this.stainCtx.restore();
+    }
+
+    updateExplosions() {
+        const currentTime = Date.now();
+        this.explosions = this.explosions.filter(
+            explosion => (currentTime - explosion.creation) / 1000 < explosion.life
+        );
+    }
+
+    drawExplosions() {
+        const currentTime = Date.now();
+        for (const explosion of this.explosions) {
+            const progress = Math.min(1, (currentTime - explosion.creation) / 1000 / explosion.life);
+            
+            this.ctx.save();
+            
+            // Full screen flash that fades out quickly
+            this.ctx.globalAlpha = Math.max(0, 0.6 - progress * 1.5);
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+            
+            // Fireball
+            this.ctx.globalAlpha = 1 - progress;
+            this.ctx.fillStyle = '#FF8C00';
+            this.ctx.beginPath();
+            this.ctx.arc(explosion.x, explosion.y, 40 + progress * 80, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            // Shockwave ring
+            this.ctx.strokeStyle = '#FF4500';
+            this.ctx.lineWidth = 6 * (1 - progress) + 1;
+            this.ctx.beginPath();
+            this.ctx.arc(explosion.x, explosion.y, 60 + progress * 200, 0, Math.PI * 2);
+            this.ctx.stroke();
+            
+            this.ctx.restore();
+        }
+    }
+
+    // Draws one frame of the run; cursors are the steered inputs whose crosshairs should show
+    render(sim, cursors) {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.updateExplosions();
+        
+        // Splatter layer follows the playfield size (resizing it wipes the stains)
+        if (this.stainCanvas.width !== this.canvas.width || this.stainCanvas.height !== this.canvas.height) {
+            this.stainCanvas.width = this.canvas.width;
+            this.stainCanvas.height = this.canvas.height;
+        }
+        this.ctx.drawImage(this.stainCanvas, 0, 0);
+        
+        // Draw every blade's trail and/or cursor dot
+        for (const blade of sim.blades.values()) {
+            this.drawBlade(blade, sim);
+        }
+        for (const cursor of cursors) {
+            if (cursor.visible) this.drawCursor(cursor);
+        }
+        
+        // Draw lemons
+        for (const lemon of sim.lemons) {
+            if (!lemon.sliced) {
+                this.drawLemon(lemon, sim.simTime);
+                if (lemon.boss) {
+                    this.drawHealthBar(lemon, sim.isMobile);
+                }
+            } else {
+                this.drawLemonHalf(lemon, true);
+                this.drawLemonHalf(lemon, false);
+            }
+        }
+        
+        if (this.showHitShapes) {
+            this.drawHitShapes(sim);
+        }
+        
+        // Draw juice droplets over the fruit halves
+        this.particles.draw(this.ctx);
+        
+        // Draw explosions over the fruit
+        this.drawExplosions();
+        
+        // Draw floating texts
+        this.drawFloatingTexts(sim.isMobile);
+    }
+
+    drawLemon(lemon, simTime) {
+        this.ctx.save();
+        this.ctx.translate(lemon.x + lemon.width / 2, lemon.y + lemon.height / 2);
+        this.ctx.rotate(lemon.rotation);
+        
+        // Blinks while a hit leaves it untouchable
+        if (simTime < lemon.invulnerableUntil) {
+            this.ctx.globalAlpha = Math.floor(simTime / 70) % 2 === 0 ? 0.35 : 1;
+        }
+        this.drawFruitSprite(lemon);
+        if (lemon.hp < lemon.maxHp) {
+            this.drawCracks(lemon);
+        }
+        this.ctx.restore();
+    }
+
+    // Bar over the boss with the hits it has left
+    drawHealthBar(lemon, isMobile) {
+        const barWidth = lemon.width;
+        const barHeight = isMobile ? 6 : 8;
+        const x = lemon.x;
+        const y = lemon.y - barHeight - 10;
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.fillRect(x, y, barWidth, barHeight);
+        this.ctx.fillStyle = lemon.hp / lemon.maxHp > 0.3 ? '#7CFC00' : '#FF4500';
+        this.ctx.fillRect(x, y, barWidth * lemon.hp / lemon.maxHp, barHeight);
+        this.ctx.strokeStyle = '#FFFFFF';
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(x, y, barWidth, barHeight);
+        this.ctx.restore();
+    }
+
+    // Cracks spread over armored fruit as they lose hp, in sprite space so they turn with it
+    drawCracks(lemon) {
+        const damage = (lemon.maxHp - lemon.hp) / lemon.maxHp;
+        const cracks = Math.ceil(damage * CRACK_LINES.length);
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(60, 30, 0, 0.8)';
+        this.ctx.lineWidth = Math.max(1.5, lemon.width / 40);
+        this.ctx.lineJoin = 'round';
+        for (const crack of CRACK_LINES.slice(0, cracks)) {
+            this.ctx.beginPath();
+            crack.forEach((point, index) => {
+                const x = point.x * lemon.width;
+                const y = point.y * lemon.height;
+                if (index === 0) this.ctx.moveTo(x, y);
+                else this.ctx.lineTo(x, y);
+            });
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
+    // Draws the whole fruit centered on the origin
+    drawFruitSprite(lemon) {
+        if (lemon.isHazard) {
+            this.drawBomb(lemon);
+        } else if (lemon.isTimeBonus) {
+            this.drawClock(lemon);
+        } else if (lemon.powerUp) {
+            this.drawPowerUp(lemon);
+        } else if (lemon.isSpecial) {
+            // Draw special fruit image
+            this.ctx.drawImage(
+                lemon.specialFruit.image,
+                -lemon.width / 2,
+                -lemon.height / 2,
+                lemon.width,
+                lemon.height
+            );
+        } else {
+            // Draw regular lemon
+            this.ctx.fillStyle = '#FFD700';
+            this.ctx.beginPath();
+            this.ctx.ellipse(0, 0, lemon.width / 2, lemon.height / 2, 0, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+    }
+
+    drawBlade(blade, sim) {
+        // Draw blade trail and/or cursor dot
+        if (blade.positions.length > 1) {
+            // Draw outer glow
+            this.ctx.shadowBlur = 20;
+            this.ctx.shadowColor = 'rgba(255, 255, 255, 0.5)';
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+            this.ctx.lineWidth = 10;
+            this.ctx.lineCap = 'round';
+            this.ctx.lineJoin = 'round';
+            
+            // Draw trail with varying width and opacity based on age
+            for (let i = 1; i < blade.positions.length; i++) {
+                const pos = blade.positions[i];
+                const prevPos = blade.positions[i - 1];
+                const age = sim.simTime - pos.time;
+                const opacity = Math.max(0, 1 - age / blade.maxPointAge);
+                
+                this.ctx.beginPath();
+                this.ctx.strokeStyle = `rgba(255, 255, 255, ${opacity * 0.8})`;
+                this.ctx.lineWidth = Math.max(1, 10 * (1 - i / blade.positions.length) * opacity);
+                
+                this.ctx.moveTo(prevPos.x, prevPos.y);
+                this.ctx.lineTo(pos.x, pos.y);
+                this.ctx.stroke();
+            }
+            
+            // Draw core line (bright white center) only if points are recent
+            if (blade.positions.length >= 2) {
+                const lastPointAge = sim.simTime - blade.positions[blade.positions.length - 1].time;
+                if (lastPointAge < 32) { // Only draw core line for very recent movement
+                    this.ctx.shadowBlur = 0;
+                    this.ctx.strokeStyle = 'white';
+                    this.ctx.lineWidth = 2;
+                    
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(
+                        blade.positions[blade.positions.length - 2].x,
+                        blade.positions[blade.positions.length - 2].y
+                    );
+                    this.ctx.lineTo(
+                        blade.positions[blade.positions.length - 1].x,
+                        blade.positions[blade.positions.length - 1].y
+                    );
+                    this.ctx.stroke();
+                }
+            }
+
+            // Draw cursor dot with inverse opacity (more visible when trail fades)
+            let dotOpacity = 0.7;
+            if (blade.positions.length > 0) {
+                const lastPos = blade.positions[blade.positions.length - 1];
+                const age = sim.simTime - lastPos.time;
+                dotOpacity = Math.min(1, age / blade.maxPointAge);
+            }
+            
+            // Draw outer glow for cursor dot
+            this.ctx.beginPath();
+            this.ctx.shadowBlur = 15;
+            this.ctx.shadowColor = `rgba(255, 255, 255, ${dotOpacity * 0.7})`;
+            this.ctx.fillStyle = `rgba(255, 255, 255, ${dotOpacity * 0.7})`;
+            this.ctx.arc(blade.lastX, blade.lastY, 6, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            // Draw inner dot
+            this.ctx.beginPath();
+            this.ctx.shadowBlur = 0;
+            this.ctx.fillStyle = `rgba(255, 255, 255, ${dotOpacity})`;
+            this.ctx.arc(blade.lastX, blade.lastY, 3, 0, Math.PI * 2);
+            this.ctx.fill();
+        } else if (!sim.over) {
+            // Draw default cursor dot when no trail exists
+            this.ctx.beginPath();
+            this.ctx.shadowBlur = 15;
+            this.ctx.shadowColor = 'rgba(255, 255, 255, 0.7)';
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            this.ctx.arc(blade.lastX, blade.lastY, 6, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            this.ctx.beginPath();
+            this.ctx.shadowBlur = 0;
+            this.ctx.fillStyle = 'white';
+            this.ctx.arc(blade.lastX, blade.lastY, 3, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+    }
+
+    // Crosshair for a steered cursor, filled in while the blade is armed
+    drawCursor(cursor) {
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(cursor.x, cursor.y, 14, 0, Math.PI * 2);
+        if (cursor.armed) this.ctx.fill();
+        this.ctx.moveTo(cursor.x - 20, cursor.y);
+        this.ctx.lineTo(cursor.x - 8, cursor.y);
+        this.ctx.moveTo(cursor.x + 8, cursor.y);
+        this.ctx.lineTo(cursor.x + 20, cursor.y);
+        this.ctx.moveTo(cursor.x, cursor.y - 20);
+        this.ctx.lineTo(cursor.x, cursor.y - 8);
+        this.ctx.moveTo(cursor.x, cursor.y + 8);
+        this.ctx.lineTo(cursor.x, cursor.y + 20);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    drawHitShapes(sim) {
+        this.ctx.save();
+        this.ctx.strokeStyle = '#00FF00';
+        this.ctx.lineWidth = 1;
+        for (const lemon of sim.lemons) {
+            if (lemon.sliced) continue;
+            
+            this.ctx.beginPath();
+            for (const point of sim.getHitPolygon(lemon)) {
+                this.ctx.lineTo(point.x, point.y);
+            }
+            this.ctx.closePath();
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
+    drawBomb(bomb) {
+        const radius = bomb.width / 2;
+        
+        // Fuse with a flickering spark
+        this.ctx.strokeStyle = '#8B4513';
+        this.ctx.lineWidth = 4;
+        this.ctx.beginPath();
+        this.ctx.moveTo(0, -radius);
+        this.ctx.quadraticCurveTo(radius * 0.4, -radius * 1.4, radius * 0.2, -radius * 1.6);
+        this.ctx.stroke();
+        
+        this.ctx.fillStyle = Math.floor(Date.now() / 80) % 2 ? '#FFD700' : '#FF4500';
+        this.ctx.beginPath();
+        this.ctx.arc(radius * 0.2, -radius * 1.6, 6, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        // Body
+        this.ctx.fillStyle = '#222222';
+        this.ctx.strokeStyle = '#FF0000';
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+        
+        // Highlight
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        this.ctx.beginPath();
+        this.ctx.arc(-radius * 0.35, -radius * 0.35, radius * 0.25, 0, Math.PI * 2);
+        this.ctx.fill();
+    }
+
+    drawClock(clock) {
+        const radius = clock.width / 2;
+        
+        // Face
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.strokeStyle = '#00BFFF';
+        this.ctx.lineWidth = 5;
+        this.ctx.beginPath();
+        this.ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+        
+        // Hour ticks
+        this.ctx.strokeStyle = '#333333';
+        this.ctx.lineWidth = 2;
+        for (let i = 0; i < 12; i++) {
+            const angle = (i / 12) * Math.PI * 2;
+            this.ctx.beginPath();
+            this.ctx.moveTo(Math.cos(angle) * radius * 0.75, Math.sin(angle) * radius * 0.75);
+            this.ctx.lineTo(Math.cos(angle) * radius * 0.88, Math.sin(angle) * radius * 0.88);
+            this.ctx.stroke();
+        }
+        
+        // Hands
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.moveTo(0, 0);
+        this.ctx.lineTo(0, -radius * 0.6);
+        this.ctx.moveTo(0, 0);
+        this.ctx.lineTo(radius * 0.4, 0);
+        this.ctx.stroke();
+    }
+
+    drawPowerUp(lemon) {
+        const powerUp = POWER_UPS[lemon.powerUp];
+        const radius = lemon.width / 2;
+        
+        // Glowing orb with the power-up's icon
+        this.ctx.shadowBlur = 15;
+        this.ctx.shadowColor = powerUp.color;
+        this.ctx.fillStyle = powerUp.color;
+        this.ctx.strokeStyle = '#FFFFFF';
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+        this.ctx.shadowBlur = 0;
+        
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.font = `bold ${Math.round(radius)}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(powerUp.icon, 0, 0);
+    }
+
+    drawLemonHalf(lemon, isLeft) {
+        const half = isLeft ? lemon.leftHalf : lemon.rightHalf;
+        const { normalX, normalY, offset } = half.cut;
+        
+        this.ctx.save();
+        this.ctx.translate(half.x, half.y);
+        this.ctx.rotate(half.rotation);
+        this.ctx.translate(-half.pivotX, -half.pivotY);
+        
+        // Keep this side of the cut line; a big quad keeps the sprite's own outline smooth
+        const reach = lemon.width + lemon.height;
+        const lineX = normalX * offset;
+        const lineY = normalY * offset;
+        this.ctx.beginPath();
+        this.ctx.moveTo(lineX + normalY * reach, lineY - normalX * reach);
+        this.ctx.lineTo(lineX - normalY * reach, lineY + normalX * reach);
+        this.ctx.lineTo(lineX - normalY * reach - normalX * reach, lineY + normalX * reach - normalY * reach);
+        this.ctx.lineTo(lineX + normalY * reach - normalX * reach, lineY - normalX * reach - normalY * reach);
+        this.ctx.closePath();
+        this.ctx.clip();
+        
+        this.drawFruitSprite(lemon);
+        
+        // Exposed flesh along the cut edge, kept inside the half's outline
+        if (half.cutStart) {
+            this.ctx.beginPath();
+            for (const point of half.outline) {
+                this.ctx.lineTo(point.x, point.y);
+            }
+            this.ctx.closePath();
+            this.ctx.clip();
+            
+            const fleshWidth = Math.max(4, Math.min(lemon.width, lemon.height) * 0.15);
+            this.ctx.beginPath();
+            this.ctx.moveTo(half.cutStart.x, half.cutStart.y);
+            this.ctx.lineTo(half.cutEnd.x, half.cutEnd.y);
+            this.ctx.strokeStyle = this.getSliceColor(lemon);
+            this.ctx.lineWidth = fleshWidth * 2;
+            this.ctx.stroke();
+            
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.45)'; // Wet shine right on the cut
+            this.ctx.lineWidth = 2;
+            this.ctx.stroke();
+        }
+        
+        this.ctx.restore();
+    }
+}
+
+// Lets Node load the pure helpers for tests
+if (typeof module !== 'undefined') {
+    module.exports = { getScoreColor, SCORE_COLORS };
+}
@@ -0,0 +1,1499 @@
+// Headless game simulation: everything that decides how a run plays out, with no DOM, canvas,
+// audio or wall clock, so the same code runs in the browser and under Node (tests, tools/).
+// game.js and renderer.js are the browser side: they feed input in, draw the state and react to the events.
+
+// A blade trail and the cuts it made since the last simulation step.
+// Times are simulation milliseconds (Simulation.simTime), not wall clock
+class Blade {
+    constructor(maxPositions, inputType) {
+        this.inputType = inputType; // 'mouse', 'touch', 'pen', 'gamepad' or 'keyboard'
+        this.positions = [];
+        this.lastX = 0;
+        this.lastY = 0;
+        this.active = false;
+        this.maxPositions = maxPositions;
+        this.maxPointAge = 100; // Maximum age for trail points in milliseconds
+        this.segments = []; // Cutting segments added since the last simulation step
+        this.stroke = { cuts: 0, points: 0, x: 0, y: 0, lastCut: 0 }; // Fruit cut in the current stroke, for combos
+    }
+
+    // maxSegmentGap: a point older than this doesn't cut towards the new one
+    update(x, y, currentTime, maxSegmentGap) {
+        // Add new position if there's actual movement
+        const dx = x - this.lastX;
+        const dy = y - this.lastY;
+        const movement = Math.sqrt(dx * dx + dy * dy);
+        
+        if (movement > 1) {
+            const prevPos = this.positions[this.positions.length - 1];
+            if (prevPos && currentTime - prevPos.time <= maxSegmentGap) {
+                this.segments.push({ start: prevPos, end: { x, y, time: currentTime } });
+            }
+            this.positions.push({ x, y, time: currentTime });
+            this.lastX = x;
+            this.lastY = y;
+        }
+        
+        this.prune(currentTime);
+    }
+
+    prune(currentTime) {
+        // Remove old positions
+        const minTime = currentTime - this.maxPointAge;
+        this.positions = this.positions.filter(pos => pos.time >= minTime);
+        
+        // Keep only the maximum number of positions
+        while (this.positions.length > this.maxPositions) {
+            this.positions.shift();
+        }
+    }
+
+    clear() {
+        this.positions = [];
+        this.segments = [];
+        this.active = false;
+    }
+}
+
+// Small deterministic PRNG (mulberry32) so a seed always yields the same run
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Turns any string (dates, share codes) into a 32-bit seed with FNV-1a
+    static hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Returns a float in [0, 1), drop-in for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+// Hit shapes are polygons in sprite space: (-0.5, -0.5) is the top-left of the drawn box, (0.5, 0.5) the bottom-right
+
+function createEllipseShape(segments = 24) {
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+        const angle = (i / segments) * Math.PI * 2;
+        points.push({ x: Math.cos(angle) * 0.5, y: Math.sin(angle) * 0.5 });
+    }
+    return points;
+}
+
+// Andrew's monotone chain; returns the hull counter-clockwise without repeating the first point
+function convexHull(points) {
+    points = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const lower = [];
+    for (const point of points) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+            lower.pop();
+        }
+        lower.push(point);
+    }
+    const upper = [];
+    for (let i = points.length - 1; i >= 0; i--) {
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], points[i]) <= 0) {
+            upper.pop();
+        }
+        upper.push(points[i]);
+    }
+    lower.pop();
+    upper.pop();
+    return lower.concat(upper);
+}
+
+// Sutherland-Hodgman against one half-plane: keeps the part of the polygon where nx * x + ny * y <= offset
+function clipPolygon(points, nx, ny, offset) {
+    const clipped = [];
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        const da = a.x * nx + a.y * ny - offset;
+        const db = b.x * nx + b.y * ny - offset;
+        if (da <= 0) clipped.push(da === 0 ? { x: a.x, y: a.y, onCut: true } : a);
+        if ((da < 0 && db > 0) || (da > 0 && db < 0)) {
+            const t = da / (da - db);
+            clipped.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, onCut: true });
+        }
+    }
+    return clipped;
+}
+
+function polygonCentroid(points) {
+    let area = 0;
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        const cross = a.x * b.y - b.x * a.y;
+        area += cross;
+        x += (a.x + b.x) * cross;
+        y += (a.y + b.y) * cross;
+    }
+    if (Math.abs(area) < 1e-9) return { x: points[0].x, y: points[0].y };
+    return { x: x / (3 * area), y: y / (3 * area) };
+}
+
+// Device profiles: phones get smaller fruit, gentler throws and fewer fruit per wave
+const DEVICE_SETTINGS = {
+    mobile: {
+        baseThrowForce: -20,
+        gravity: 0.2,
+        fruitSize: 50,
+        bombSize: 55,
+        spawnDelay: 2500,
+        minSpawnDelay: 800,
+        trailLength: 8,
+        maxFruitsPerSpawn: 2
+    },
+    desktop: {
+        baseThrowForce: -30,
+        gravity: 0.3,
+        fruitSize: 60,
+        bombSize: 65,
+        spawnDelay: 2000,
+        minSpawnDelay: 600,
+        trailLength: 15,
+        maxFruitsPerSpawn: 3
+    }
+};
+
+// Game modes: lives === null means misses are free, duration is in simulation ms.
+// The run ends when lives hit 0 or the timer runs out, whichever the mode has.
+const GAME_MODES = {
+    classic: {
+        name: 'classic',
+        description: '3 misses and the lemonos win',
+        lives: 3,
+        duration: null,
+        hazards: true,
+        bombEndsRun: false,
+        bombPenalty: 0,
+        timeBonusChance: 0,
+        powerUpChance: 0.03,
+        hud: ['lives', 'difficulty'],
+        leaderboard: true,
+        difficultyOverrides: null // Device settings as-is
+    },
+    arcade: {
+        name: 'arcade',
+        description: '60 seconds, no lives, clocks buy more time',
+        lives: null,
+        duration: 60000,
+        hazards: true,
+        bombEndsRun: false,
+        bombPenalty: 50,
+        timeBonusChance: 0.04,
+        powerUpChance: 0.03,
+        hud: ['timer', 'difficulty'],
+        leaderboard: true,
+        difficultyOverrides: null
+    },
+    zen: {
+        name: 'zen',
+        description: '90 calm seconds, no misses, no bombs',
+        lives: null,
+        duration: 90000,
+        hazards: false,
+        bombEndsRun: false,
+        bombPenalty: 0,
+        timeBonusChance: 0,
+        powerUpChance: 0.04,
+        hud: ['timer'],
+        leaderboard: true,
+        // Slower ramp and more breathing room between waves
+        difficultyOverrides: {
+            ramp: { type: 'linear', rate: 0.05, max: 2 },
+            baseSpawnDelay: 1800,
+            minSpawnDelay: 900
+        }
+    },
+    daily: {
+        name: 'daily',
+        description: "today's lemonos, same for everyone",
+        lives: null,
+        duration: 60000,
+        hazards: true,
+        bombEndsRun: true,
+        bombPenalty: 0,
+        timeBonusChance: 0,
+        powerUpChance: 0,
+        hud: ['timer'],
+        leaderboard: false, // Tracked by DailyRecords instead
+        preset: 'normal', // Ignores the menu's difficulty so everyone plays the same run
+        // Same spawn schedule on every device so everyone gets the same fruit that day
+        difficultyOverrides: {
+            baseSpawnDelay: 2000,
+            minSpawnDelay: 600,
+            maxFruitsPerSpawn: 3
+        }
+    },
+    campaign: {
+        name: 'campaign',
+        description: 'beat the waves, then their boss',
+        lives: 5,
+        duration: null,
+        hazards: true,
+        bombEndsRun: false,
+        bombPenalty: 0,
+        timeBonusChance: 0,
+        powerUpChance: 0.03,
+        hud: ['lives', 'wave'],
+        leaderboard: false, // Unlocks and best scores per level are kept by CampaignProgress
+        campaign: true, // Spawns from CAMPAIGN_LEVELS instead of the endless ramp
+        difficultyOverrides: null
+    }
+};
+
+// Campaign levels, played in order. Each throws its waves one after another, then a boss
+// (the difficulty preset still scales delays, bombs, gravity and throws):
+//   difficulty   stands in for the endless ramp (throw speed and spread)
+//   waves        count fruit picked from mix (name -> weight, 'lemon' is the plain lemon),
+//                up to maxPerSpawn at a time every delay ms, bombChance per fruit
+//   boss         a giant `fruit` that drifts near the top, takes hp hits and breaks `splits`
+//                smaller fruit off on every hit but the last; escort keeps fruit coming meanwhile
+// Fruit missing from the catalog show up as plain lemons
+const CAMPAIGN_LEVELS = [
+    {
+        id: 'grove',
+        name: 'the lemon grove',
+        difficulty: 1,
+        waves: [
+            { mix: { lemon: 1 }, count: 6, maxPerSpawn: 1, delay: 1400, bombChance: 0 },
+            { mix: { lemon: 1 }, count: 10, maxPerSpawn: 2, delay: 1300, bombChance: 0.05 }
+        ],
+        boss: { fruit: 'lemon', hp: 6, size: 150, points: 200, splits: 1, escort: { mix: { lemon: 1 }, delay: 2800 } }
+    },
+    {
+        id: 'guards',
+        name: 'grapefruit guards',
+        difficulty: 1.3,
+        waves: [
+            { mix: { lemon: 3, grapefruit: 1 }, count: 10, maxPerSpawn: 2, delay: 1300, bombChance: 0.05 },
+            { mix: { lemon: 1, grapefruit: 1 }, count: 12, maxPerSpawn: 3, delay: 1200, bombChance: 0.08 }
+        ],
+        boss: { fruit: 'grapefruit', hp: 9, size: 160, points: 400, splits: 1, escort: { mix: { lemon: 1 }, delay: 2400 } }
+    },
+    {
+        id: 'lieutenants',
+        name: 'lime lieutenants',
+        difficulty: 1.6,
+        waves: [
+            { mix: { lemon: 2, lime: 1 }, count: 12, maxPerSpawn: 2, delay: 1200, bombChance: 0.08 },
+            { mix: { grapefruit: 1, lime: 2 }, count: 12, maxPerSpawn: 3, delay: 1100, bombChance: 0.1 },
+            { mix: { lemon: 1, lime: 1, notlemon: 1 }, count: 15, maxPerSpawn: 3, delay: 1000, bombChance: 0.1 }
+        ],
+        boss: { fruit: 'lime', hp: 12, size: 160, points: 600, splits: 2, escort: { mix: { lemon: 1, lime: 1 }, delay: 2200 } }
+    },
+    {
+        id: 'agents',
+        name: 'apple agents',
+        difficulty: 1.9,
+        waves: [
+            { mix: { lemon: 2, apple: 1 }, count: 12, maxPerSpawn: 3, delay: 1100, bombChance: 0.1 },
+            { mix: { apple: 2, twoapple: 1, lime: 1 }, count: 15, maxPerSpawn: 3, delay: 1000, bombChance: 0.12 },
+            { mix: { apple: 1, twoapple: 1, grapefruit: 1 }, count: 18, maxPerSpawn: 4, delay: 950, bombChance: 0.12 }
+        ],
+        boss: { fruit: 'apple', hp: 15, size: 170, points: 800, splits: 2, escort: { mix: { apple: 1, lemon: 1 }, delay: 2000 } }
+    },
+    {
+        id: 'elite',
+        name: 'the lemonogata elite',
+        difficulty: 2.2,
+        waves: [
+            { mix: { lemon: 2, lemonogata: 1 }, count: 15, maxPerSpawn: 3, delay: 1000, bombChance: 0.12 },
+            { mix: { lemonogata: 1, wife: 1, apple: 1 }, count: 18, maxPerSpawn: 3, delay: 950, bombChance: 0.14 },
+            { mix: { lemonogata: 2, wife: 1, twoapple: 1, lime: 1 }, count: 22, maxPerSpawn: 4, delay: 900, bombChance: 0.15 }
+        ],
+        boss: { fruit: 'lemonogata', hp: 20, size: 200, points: 1500, splits: 2, escort: { mix: { lemon: 1, lemonogata: 1 }, delay: 1800 } }
+    }
+];
+
+// Campaign timing and boss behavior shared by every level
+const CAMPAIGN = {
+    waveBreak: 2500,        // Spawn clock ms between a cleared wave and the next (or the boss)
+    outro: 1500,            // Simulation ms between the boss going down and the run ending
+    bossRiseSpeed: 4,       // Pixels per 60th of a second while the boss comes into view
+    bossDriftSpeed: 2.5,    // Sideways speed once it's up
+    bossCruiseHeight: 0.12, // Where it floats, as a share of the playfield height
+    bossBob: 25,            // Pixels it bobs up and down
+    bossHitPoints: 25,      // Points for every hit before the last, instead of ARMOR's
+    splitPoints: 15,        // Points for the small fruit a hit breaks off
+    splitScale: 0.6,        // Their size next to a regular fruit of the same kind
+    bossHitCooldown: 350,   // Like ARMOR.hitCooldown, longer since the boss is easy to catch twice
+    mobileBossScale: 0.75
+};
+
+// How difficulty grows from 1 with run time. Each ramp is { type, rate, max, ... } and is capped at max.
+// Optional waves: { length, breather, dip } eases off for the last `breather` seconds of every
+// `length`, dropping `dip` of the climb so far (1 is back to the opening pace).
+const DIFFICULTY_RAMPS = {
+    // +rate every 10 seconds
+    linear: (seconds, ramp) => 1 + (seconds / 10) * ramp.rate,
+    // exponent > 1 starts gentler than linear and keeps accelerating
+    power: (seconds, ramp) => 1 + Math.pow(seconds / 10, ramp.exponent) * ramp.rate
+};
+
+// Difficulty picked on the menu. Numbers scale the device settings (and the mode's overrides),
+// extraFruitsPerSpawn is added to maxFruitsPerSpawn. Normal is the game as it always was.
+const DIFFICULTY_PRESETS = {
+    easy: {
+        name: 'easy',
+        spawnDelay: 1.25,
+        minSpawnDelay: 1.5,
+        extraFruitsPerSpawn: -1,
+        gravity: 0.8,
+        throwForce: 0.9, // ~sqrt(gravity) so fruit still reach the same height
+        specialFruitChance: 0.2,
+        hazardChance: 0.5,
+        ramp: { type: 'linear', rate: 0.06, max: 2 }
+    },
+    normal: {
+        name: 'normal',
+        spawnDelay: 1,
+        minSpawnDelay: 1,
+        extraFruitsPerSpawn: 0,
+        gravity: 1,
+        throwForce: 1,
+        specialFruitChance: 0.15,
+        hazardChance: 1,
+        ramp: { type: 'linear', rate: 0.1, max: 3 }
+    },
+    hard: {
+        name: 'hard',
+        spawnDelay: 0.85,
+        minSpawnDelay: 0.8,
+        extraFruitsPerSpawn: 1,
+        gravity: 1.2,
+        throwForce: 1.095,
+        specialFruitChance: 0.12,
+        hazardChance: 1.25,
+        ramp: { type: 'power', rate: 0.1, exponent: 1.3, max: 3.5, waves: { length: 30, breather: 4, dip: 0.8 } }
+    },
+    insane: {
+        name: 'insane',
+        spawnDelay: 0.7,
+        minSpawnDelay: 0.65,
+        extraFruitsPerSpawn: 2,
+        gravity: 1.45,
+        throwForce: 1.2,
+        specialFruitChance: 0.1,
+        hazardChance: 1.5,
+        ramp: { type: 'power', rate: 0.15, exponent: 1.5, max: 4.5, waves: { length: 20, breather: 3, dip: 0.7 } }
+    }
+};
+
+// Arcade clock that adds time when sliced
+const TIME_BONUS = {
+    name: 'clock',
+    sliceColor: '#00BFFF',
+    seconds: 5,
+    points: 10
+};
+
+// Power-up fruits and the timed effect each one starts when sliced. Stacking: slicing a
+// power-up that's already running adds its duration again (up to maxDuration); different
+// power-ups run side by side. Effect timers count simulation time, so a freeze doesn't
+// stretch itself or the others
+const POWER_UPS = {
+    freeze: {
+        name: 'freeze',
+        icon: '❄',
+        color: '#87CEFA',
+        duration: 5000,
+        maxDuration: 10000,
+        timeScale: 0.4 // Fruit physics and spawning run at this speed
+    },
+    frenzy: {
+        name: 'frenzy',
+        icon: '✸',
+        color: '#FF8C00',
+        duration: 4000,
+        maxDuration: 8000,
+        interval: 250, // Spawn clock ms between fruit thrown in from the sides
+        points: 20
+    },
+    double: {
+        name: 'double',
+        icon: '×2',
+        color: '#DA70D6',
+        duration: 8000,
+        maxDuration: 16000,
+        multiplier: 2
+    }
+};
+
+// Hazard that must not be sliced
+const BOMB = {
+    name: 'bomb',
+    livesLost: 1
+};
+
+// Fruit with more than 1 hp (fruits.json "hp") take one hit per swipe; only the last one cuts them
+const ARMOR = {
+    hitPoints: 10,     // Points for every hit before the last
+    hitCooldown: 250,  // Simulation ms a hit fruit ignores the blade, so one swipe is one hit
+    knockback: 6       // Speed a hit adds along the swipe
+};
+
+// Combo tracking: each blade counts its own stroke
+const COMBO_SETTINGS = {
+    minFruits: 3,          // Fruits in one stroke needed for a combo
+    multiplierStep: 0.5,   // Extra multiplier per fruit past the second
+    maxMultiplier: 4,
+    maxHoverGap: 300       // Simulation ms a hovering mouse can go without a cut before its stroke ends
+};
+
+// How far outside a hit shape a blade still cuts, in pixels. Fingers and
+// steered cursors are less precise than a mouse, so they get more slack
+const BLADE_HIT_TOLERANCE = {
+    mouse: 6, // Half the blade trail's width
+    pen: 6,
+    touch: 10,
+    gamepad: 24,
+    keyboard: 24
+};
+
+// Ticks between two blade points that still make one cutting segment. At 30 fps the
+// browser steps two ticks per frame, so consecutive points are two ticks apart
+const BLADE_SEGMENT_TICKS = 2;
+
+// One run: its state, plus step(input, deltaMs) to advance it by one fixed tick. Randomness
+// comes from the seed and sizes from the options, so the same seed, options and input always
+// play out the same way. step() reports what happened during the tick as events:
+//   { type: 'spawn', lemon }               a fruit was thrown in
+//   { type: 'slice', lemon, points }       a fruit was cut in two (see lemon.leftHalf/rightHalf)
+//   { type: 'miss', lemon }                a fruit fell off screen uncut, and it counts
+//   { type: 'bomb', lemon, penalty }       a bomb was cut; penalty is the points it took, if any
+//   { type: 'combo', cuts, bonus, x, y }   a stroke cut enough fruit for a combo
+//   { type: 'timeBonus', lemon, seconds }  a clock was cut
+//   { type: 'powerUp', lemon, powerUp }    a power-up was cut and its effect started
+//   { type: 'resize', width, height }      the playfield changed size
+//   { type: 'wave', wave, waves }          campaign: a wave is about to start (wave > waves is the boss)
+//   { type: 'hit', lemon, hp, points }     an armored fruit or boss took a hit and is still up
+//   { type: 'levelClear' }                 campaign: the boss went down, the run ends shortly
+//   { type: 'over' }                       the run ended
+class Simulation {
+    constructor({ mode = 'classic', preset = 'normal', level = null, seed = 0, width, height, isMobile = false, specialFruits = [] }) {
+        this.mode = GAME_MODES[mode];
+        this.level = this.mode.campaign ? CAMPAIGN_LEVELS.find(entry => entry.id === level) || CAMPAIGN_LEVELS[0] : null;
+        this.preset = DIFFICULTY_PRESETS[this.mode.preset || preset];
+        this.seed = seed >>> 0;
+        this.rng = new SeededRandom(this.seed); // All gameplay randomness goes through here
+        this.width = width;
+        this.height = height;
+        this.isMobile = isMobile;
+        this.settings = isMobile ? DEVICE_SETTINGS.mobile : DEVICE_SETTINGS.desktop;
+        this.specialFruits = specialFruits; // Validated fruits.json entries, see Game.loadFruitCatalog
+        
+        // Difficulty settings: device values, then the mode's overrides, then the preset on top
+        const base = Object.assign({
+            baseSpawnDelay: this.settings.spawnDelay,
+            minSpawnDelay: this.settings.minSpawnDelay,
+            maxFruitsPerSpawn: this.settings.maxFruitsPerSpawn,
+            ramp: this.preset.ramp
+        }, this.mode.difficultyOverrides);
+        this.difficultySettings = {
+            baseSpawnDelay: base.baseSpawnDelay * this.preset.spawnDelay,
+            minSpawnDelay: base.minSpawnDelay * this.preset.minSpawnDelay,
+            maxFruitsPerSpawn: Math.max(1, base.maxFruitsPerSpawn + this.preset.extraFruitsPerSpawn),
+            ramp: base.ramp,
+            gravity: this.settings.gravity * this.preset.gravity,
+            baseThrowForce: this.settings.baseThrowForce * this.preset.throwForce,
+            specialFruitChance: this.preset.specialFruitChance,
+            baseHazardChance: 0.05 * this.preset.hazardChance,      // Bomb chance per fruit at difficulty 1
+            hazardChanceIncrease: 0.05 * this.preset.hazardChance,  // Extra bomb chance per difficulty level
+            maxHazardChance: 0.2 * this.preset.hazardChance
+        };
+        
+        // Simulation clock, advanced only by step
+        this.tick = 0;
+        this.simTime = 0;
+        this.spawnClock = 0; // Like simTime, but slowed down by freeze
+        this.nextSpawnTime = 0; // On the spawn clock, first wave on the first tick
+        
+        this.score = 0;
+        this.lives = this.mode.lives;
+        this.runDuration = this.mode.duration; // Mode duration plus any time bonuses
+        this.difficulty = 1;
+        this.lemons = [];
+        this.fruitsSliced = 0;
+        this.bestCombo = 0;
+        this.comboCount = 0;
+        this.comboBonus = 0;
+        this.activeEffects = {}; // Power-up name -> simulation ms left
+        this.nextFrenzySpawn = 0; // On the spawn clock
+        this.over = false;
+        this.events = []; // What happened during the current step
+        
+        // Campaign progress, see updateCampaign
+        this.waveIndex = -1; // Into level.waves; waves.length once the boss is up
+        this.waveSpawned = 0;
+        this.bossFruit = null; // The boss, once it's up and until it goes down
+        this.levelCleared = false;
+        this.clearTime = 0;
+        if (this.level) {
+            this.difficulty = this.level.difficulty;
+        }
+        
+        // One blade per pointer id: the mouse, every finger, pen, controller and the keyboard get their own
+        this.blades = new Map();
+        
+        // Hit shapes for the procedurally drawn fruit; special fruits get one from their sprite
+        this.lemonShape = createEllipseShape();
+        this.roundShape = createEllipseShape();
+        this.spriteShape = [{ x: -0.5, y: -0.5 }, { x: 0.5, y: -0.5 }, { x: 0.5, y: 0.5 }, { x: -0.5, y: 0.5 }];
+    }
+
+    // Advances the run by one tick of deltaMs. input is the tick's pointer events,
+    // { type: 'down' | 'move' | 'up' | 'resize', x, y, pointerId, inputType }, in order.
+    // Returns the events the tick caused, see above
+    step(input, deltaMs) {
+        this.events = [];
+        if (this.over) return this.events;
+        
+        // Freeze slows fruit and spawning by shrinking their step; the tick itself stays
+        // fixed, and scaling position, speed and gravity alike keeps every arc the same shape
+        const timeScale = this.getTimeScale();
+        // Convert milliseconds to seconds for physics calculations
+        const dt = deltaMs / 1000 * timeScale;
+        this.tick++;
+        this.simTime += deltaMs;
+        this.spawnClock += deltaMs * timeScale;
+        this.applyInput(input, deltaMs);
+        this.updateEffects(deltaMs);
+        
+        if (this.level) {
+            this.updateCampaign();
+            if (this.over) return this.events;
+        } else if (this.spawnClock >= this.nextSpawnTime) {
+            this.spawnLemons();
+        }
+        
+        // Hover slicing (no button held) has no clear(), so the stroke ends when the trail dies out,
+        // or when the mouse keeps moving but stops cutting
+        for (const blade of this.blades.values()) {
+            const sinceCut = this.simTime - blade.stroke.lastCut;
+            if (!blade.active && (blade.positions.length < 2 || sinceCut > COMBO_SETTINGS.maxHoverGap)) {
+                this.finishCombo(blade);
+            }
+        }
+        
+        // Update lemons
+        for (let i = this.lemons.length - 1; i >= 0; i--) {
+            const lemon = this.lemons[i];
+            
+            if (!lemon.sliced) {
+                // Remember where the step started for the swept collision test
+                lemon.prevX = lemon.x;
+                lemon.prevY = lemon.y;
+                lemon.prevRotation = lemon.rotation;
+                if (lemon.boss) {
+                    this.moveBoss(lemon, dt);
+                } else {
+                    lemon.x += lemon.speedX * dt * 60; // Scale by 60 to maintain original speed values
+                    lemon.y += lemon.speedY * dt * 60;
+                    lemon.speedY += this.difficultySettings.gravity * dt * 60;
+                    lemon.rotation += lemon.rotationSpeed * dt * 60;
+                }
+            } else {
+                // Update the two halves
+                lemon.leftHalf.x += lemon.leftHalf.speedX * dt * 60;
+                lemon.leftHalf.y += lemon.leftHalf.speedY * dt * 60;
+                lemon.leftHalf.speedY += this.difficultySettings.gravity * dt * 60;
+                lemon.leftHalf.rotation += lemon.leftHalf.rotationSpeed * dt * 60;
+                
+                lemon.rightHalf.x += lemon.rightHalf.speedX * dt * 60;
+                lemon.rightHalf.y += lemon.rightHalf.speedY * dt * 60;
+                lemon.rightHalf.speedY += this.difficultySettings.gravity * dt * 60;
+                lemon.rightHalf.rotation += lemon.rightHalf.rotationSpeed * dt * 60;
+            }
+            
+            // Handle boundary collisions
+            this.handleBoundaryCollision(lemon);
+            
+            // Armored fruit and bosses soak up hits until their last hp, see damageFruit
+            const blade = !lemon.sliced && this.damageFruit(lemon) && this.checkCollision(lemon);
+            if (blade) {
+                if (lemon.isHazard) {
+                    this.lemons.splice(i, 1);
+                    this.explodeBomb(lemon, blade);
+                    if (this.over) return this.events;
+                    continue;
+                }
+                
+                lemon.sliced = true;
+                const points = this.getSlicePoints(lemon);
+                this.score += points;
+                this.events.push({ type: 'slice', lemon, points });
+                if (lemon.isTimeBonus) {
+                    this.addTime(lemon);
+                }
+                if (lemon.powerUp) {
+                    this.activatePowerUp(lemon);
+                }
+                if (lemon.boss) {
+                    this.clearLevel();
+                }
+                this.fruitsSliced++;
+                
+                // Count towards the combo of the current stroke
+                blade.stroke.cuts++;
+                blade.stroke.points += points;
+                blade.stroke.x = lemon.x + lemon.width / 2;
+                blade.stroke.y = lemon.y + lemon.height / 2;
+                blade.stroke.lastCut = this.simTime;
+            }
+            
+            // Remove off-screen lemons
+            if (!lemon.sliced && lemon.y > this.height + 100) {
+                this.lemons.splice(i, 1);
+                if (lemon.isHazard) continue; // Dodging a bomb is the point
+                if (lemon.powerUp || lemon.isFrenzy || lemon.fromBoss) continue; // Bonus fruit are free to miss
+                this.events.push({ type: 'miss', lemon });
+                if (this.mode.lives === null) continue; // Misses are free in timed modes
+                if (this.levelCleared) continue; // Stragglers don't count once the boss is down
+                this.lives--;
+                if (this.isRunOver()) {
+                    this.finish();
+                    return this.events;
+                }
+            } else if (lemon.sliced && 
+                      lemon.leftHalf.y - lemon.leftHalf.radius > this.height + 100 && 
+                      lemon.rightHalf.y - lemon.rightHalf.radius > this.height + 100) {
+                this.lemons.splice(i, 1);
+            }
+        }
+        
+        if (this.isRunOver()) {
+            this.finish();
+        }
+        return this.events;
+    }
+
+    // Ends the run, awarding the combos still in progress
+    finish() {
+        if (this.over) return;
+        
+        for (const blade of this.blades.values()) {
+            this.finishCombo(blade);
+        }
+        this.over = true;
+        this.events.push({ type: 'over' });
+    }
+
+    getBlade(pointerId, inputType) {
+        let blade = this.blades.get(pointerId);
+        if (!blade) {
+            blade = new Blade(this.settings.trailLength, inputType);
+            this.blades.set(pointerId, blade);
+        }
+        return blade;
+    }
+
+    applyInput(input, deltaMs) {
+        // Below 60 fps the browser runs several ticks per frame and the frame's input lands on the
+        // first, so points can be whole ticks apart; half a tick of slack for the float clock
+        const maxSegmentGap = deltaMs * (BLADE_SEGMENT_TICKS + 0.5);
+        for (const blade of this.blades.values()) {
+            blade.segments = [];
+        }
+        for (const event of input) {
+            if (event.type === 'down') {
+                this.beginStroke(this.getBlade(event.pointerId, event.inputType));
+            } else if (event.type === 'up') {
+                const blade = this.blades.get(event.pointerId);
+                if (blade) {
+                    this.endStroke(blade);
+                    this.blades.delete(event.pointerId);
+                }
+            } else if (event.type === 'move') {
+                // Only the desktop mouse cuts without a button held; everything else cuts while down
+                const hovers = !this.isMobile && event.inputType === 'mouse';
+                const blade = hovers ? this.getBlade(event.pointerId, event.inputType) : this.blades.get(event.pointerId);
+                if (blade && (blade.active || hovers)) {
+                    blade.update(event.x, event.y, this.simTime, maxSegmentGap);
+                }
+            } else if (event.type === 'resize') {
+                this.resize(event.x, event.y);
+            }
+        }
+        
+        for (const blade of this.blades.values()) {
+            blade.prune(this.simTime);
+        }
+    }
+
+    // The playfield size affects spawning and bounces; blade trails don't survive it
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        for (const blade of this.blades.values()) {
+            this.endStroke(blade);
+        }
+        this.blades.clear();
+        this.events.push({ type: 'resize', width, height });
+    }
+
+
+    getRandomSpecialFruit() {
+        // Only fruits unlocked at the current difficulty can show up
+        const candidates = this.specialFruits.filter(fruit => fruit.minDifficulty <= this.difficulty);
+        if (candidates.length === 0) return null;
+        
+        // Calculate total rarity
+        const totalRarity = candidates.reduce((sum, fruit) => sum + fruit.rarity, 0);
+        let random = this.rng.next() * totalRarity;
+        
+        // Select a fruit based on rarity
+        for (const fruit of candidates) {
+            random -= fruit.rarity;
+            if (random <= 0) {
+                return fruit;
+            }
+        }
+        
+        return candidates[0]; // Fallback to first fruit
+    }
+
+    updateDifficulty() {
+        this.difficulty = Simulation.getRampDifficulty(this.difficultySettings.ramp, this.simTime / 1000);
+    }
+
+    static getRampDifficulty(ramp, seconds) {
+        const difficulty = Math.min(ramp.max, DIFFICULTY_RAMPS[ramp.type](seconds, ramp));
+        const waves = ramp.waves;
+        if (waves && seconds % waves.length >= waves.length - waves.breather) {
+            return 1 + (difficulty - 1) * (1 - waves.dip);
+        }
+        return difficulty;
+    }
+
+    getSpawnCount() {
+        const baseCount = 1;
+        const random = this.rng.next();
+        const extraCount = Math.floor(random * this.difficulty);
+        return Math.min(baseCount + extraCount, this.difficultySettings.maxFruitsPerSpawn);
+    }
+
+    getSpawnDelay() {
+        const currentDelay = this.difficultySettings.baseSpawnDelay / this.difficulty;
+        return Math.max(currentDelay, this.difficultySettings.minSpawnDelay) +
+               this.rng.next() * 500; // Add some randomness
+    }
+
+    getHazardChance() {
+        if (!this.mode.hazards) return 0;
+        return Math.min(
+            this.difficultySettings.maxHazardChance,
+            this.difficultySettings.baseHazardChance +
+                (this.difficulty - 1) * this.difficultySettings.hazardChanceIncrease
+        );
+    }
+
+    spawnLemons() {
+        if (this.over) return;
+
+        this.updateDifficulty();
+        
+        // Spawn fruits based on current difficulty
+        const count = this.getSpawnCount();
+        const spawnPositions = this.getSpawnPositions(count);
+
+        for (let i = 0; i < count; i++) {
+            const isHazard = this.rng.next() < this.getHazardChance();
+            // Only roll for clocks in modes that have them so other modes keep their sequence
+            const isTimeBonus = !isHazard && this.mode.timeBonusChance > 0 &&
+                this.rng.next() < this.mode.timeBonusChance;
+            const powerUp = !isHazard && !isTimeBonus && this.mode.powerUpChance > 0 &&
+                this.rng.next() < this.mode.powerUpChance ? this.pickPowerUp() : null;
+            const rollsSpecial = !isHazard && !isTimeBonus && !powerUp &&
+                this.rng.next() < this.difficultySettings.specialFruitChance;
+            const specialFruit = rollsSpecial ? this.getRandomSpecialFruit() : null;
+            this.throwFruit(spawnPositions[i], { isHazard, isTimeBonus, powerUp, specialFruit });
+        }
+        
+        this.nextSpawnTime = this.spawnClock + this.getSpawnDelay();
+    }
+
+    // count random spawn points across the bottom, sorted left to right
+    getSpawnPositions(count) {
+        const spawnWidth = this.width * (this.isMobile ? 0.7 : 0.8); // Narrower spawn area on mobile
+        return Array(count).fill(0).map(() => 
+            (this.width - spawnWidth) / 2 + this.rng.next() * spawnWidth
+        ).sort((a, b) => a - b);
+    }
+
+    // Throws one fruit up from the bottom at x; specialFruit is null for a plain lemon
+    throwFruit(x, { isHazard, isTimeBonus, powerUp, specialFruit }) {
+        // Calculate throw force based on screen height and device type
+        const minForce = this.difficultySettings.baseThrowForce;
+        const maxExtraForce = this.isMobile ? -5 : -8; // Less variation on mobile
+        const throwForce = minForce - (this.rng.next() * maxExtraForce * Math.sqrt(this.difficulty));
+
+        let width = this.settings.fruitSize;
+        let height = this.isMobile ? 35 : 40;
+        if (isHazard) {
+            width = height = this.settings.bombSize;
+        } else if (isTimeBonus || powerUp) {
+            width = height = this.settings.bombSize; // Same footprint as a bomb
+        } else if (specialFruit) {
+            width = height = this.isMobile ? specialFruit.mobileSize : specialFruit.size;
+        }
+        const hp = (specialFruit && specialFruit.hp) || 1;
+
+        const lemon = {
+            x: x,
+            y: this.height + 50,
+            speedX: (this.rng.next() - 0.5) * (this.isMobile ? 6 : 8) * (1 + this.difficulty), // Reduced horizontal speed on mobile
+            speedY: throwForce,
+            rotation: this.rng.next() * Math.PI * 2,
+            rotationSpeed: (this.rng.next() - 0.5) * (this.isMobile ? 0.15 : 0.2), // Slower rotation on mobile
+            width: width,
+            height: height,
+            sliced: false,
+            sliceAngle: 0,
+            isHazard: isHazard,
+            isTimeBonus: isTimeBonus,
+            isSpecial: specialFruit !== null,
+            specialFruit: specialFruit,
+            powerUp: powerUp, // Name of the power-up, or null
+            isFrenzy: false,
+            fromBoss: false,
+            boss: null, // Boss state, see spawnBoss
+            hp: hp, // Hits it takes to cut, see damageFruit
+            maxHp: hp,
+            invulnerableUntil: 0, // simTime
+            leftHalf: null, // Set by cutFruit
+            rightHalf: null
+        };
+        
+        this.lemons.push(lemon);
+        this.events.push({ type: 'spawn', lemon });
+        return lemon;
+    }
+
+    pickPowerUp() {
+        const names = Object.keys(POWER_UPS);
+        return names[Math.floor(this.rng.next() * names.length)];
+    }
+
+    // Frenzy lemons fly in from either side, are worth bonus points and are free to miss
+    spawnFrenzyFruit() {
+        const fromLeft = this.rng.next() < 0.5;
+        const width = this.settings.fruitSize;
+        const height = this.isMobile ? 35 : 40;
+        const speed = (5 + this.rng.next() * 4) * (this.isMobile ? 0.8 : 1);
+        
+        const lemon = {
+            x: fromLeft ? 0 : this.width - width,
+            y: this.height * (0.45 + this.rng.next() * 0.35),
+            speedX: fromLeft ? speed : -speed,
+            speedY: -(6 + this.rng.next() * 5),
+            rotation: this.rng.next() * Math.PI * 2,
+            rotationSpeed: (this.rng.next() - 0.5) * 0.2,
+            width: width,
+            height: height,
+            sliced: false,
+            sliceAngle: 0,
+            isHazard: false,
+            isTimeBonus: false,
+            isSpecial: false,
+            specialFruit: null,
+            powerUp: null,
+            isFrenzy: true,
+            fromBoss: false,
+            boss: null,
+            hp: 1,
+            maxHp: 1,
+            invulnerableUntil: 0,
+            leftHalf: null,
+            rightHalf: null
+        };
+        
+        this.lemons.push(lemon);
+        this.events.push({ type: 'spawn', lemon });
+    }
+
+    // Campaign spawning, instead of spawnLemons: each wave's fruit on its own schedule, a break
+    // once it's thrown and the screen is clear, then the boss and its escort
+    updateCampaign() {
+        if (this.levelCleared) {
+            if (this.simTime >= this.clearTime + CAMPAIGN.outro) {
+                this.finish();
+            }
+            return;
+        }
+        if (this.spawnClock < this.nextSpawnTime) return;
+        
+        const waves = this.level.waves;
+        const wave = waves[this.waveIndex];
+        if (wave && this.waveSpawned < wave.count) {
+            const count = Math.min(wave.count - this.waveSpawned, 1 + Math.floor(this.rng.next() * wave.maxPerSpawn));
+            this.throwWave(wave.mix, count, wave.bombChance);
+            this.waveSpawned += count;
+            this.nextSpawnTime = this.spawnClock + wave.delay * this.preset.spawnDelay + this.rng.next() * 500;
+            return;
+        }
+        
+        if (this.waveIndex < waves.length) {
+            // Wait for the last of the wave to be cut or fall before announcing the next
+            if (this.lemons.some(lemon => !lemon.sliced)) return;
+            this.waveIndex++;
+            this.waveSpawned = 0;
+            this.nextSpawnTime = this.spawnClock + CAMPAIGN.waveBreak;
+            this.events.push({ type: 'wave', wave: this.waveIndex + 1, waves: waves.length });
+            return;
+        }
+        
+        if (!this.bossFruit) {
+            this.spawnBoss();
+        } else {
+            this.throwWave(this.level.boss.escort.mix, 1, 0);
+        }
+        this.nextSpawnTime = this.spawnClock + this.level.boss.escort.delay * this.preset.spawnDelay + this.rng.next() * 500;
+    }
+
+    throwWave(mix, count, bombChance) {
+        for (const x of this.getSpawnPositions(count)) {
+            const isHazard = this.mode.hazards && this.rng.next() < bombChance * this.preset.hazardChance;
+            const powerUp = !isHazard && this.rng.next() < this.mode.powerUpChance ? this.pickPowerUp() : null;
+            const specialFruit = isHazard || powerUp ? null : this.findFruit(this.pickFromMix(mix));
+            this.throwFruit(x, { isHazard, isTimeBonus: false, powerUp, specialFruit });
+        }
+    }
+
+    // A name from a wave's { name: weight } mix
+    pickFromMix(mix) {
+        const names = Object.keys(mix);
+        let random = this.rng.next() * names.reduce((sum, name) => sum + mix[name], 0);
+        for (const name of names) {
+            random -= mix[name];
+            if (random <= 0) return name;
+        }
+        return names[0];
+    }
+
+    // The catalog entry for a fruit name, or null for the plain lemon (and anything missing)
+    findFruit(name) {
+        return this.specialFruits.find(fruit => fruit.name === name) || null;
+    }
+
+    spawnBoss() {
+        const spec = this.level.boss;
+        const specialFruit = this.findFruit(spec.fruit);
+        const size = spec.size * (this.isMobile ? CAMPAIGN.mobileBossScale : 1);
+        const width = Math.min(size, this.width * 0.5);
+        const height = specialFruit ? width : width * 0.8; // Plain lemons keep their oval
+        
+        const lemon = {
+            x: (this.width - width) / 2,
+            y: this.height,
+            speedX: CAMPAIGN.bossDriftSpeed * (this.rng.next() < 0.5 ? -1 : 1),
+            speedY: 0,
+            rotation: 0,
+            rotationSpeed: 0,
+            width: width,
+            height: height,
+            sliced: false,
+            sliceAngle: 0,
+            isHazard: false,
+            isTimeBonus: false,
+            isSpecial: specialFruit !== null,
+            specialFruit: specialFruit,
+            powerUp: null,
+            isFrenzy: false,
+            fromBoss: false,
+            boss: {
+                points: spec.points,
+                splits: spec.splits,
+                risen: false,
+                drift: 0 // Simulation seconds since it rose, drives the bob
+            },
+            hp: spec.hp,
+            maxHp: spec.hp,
+            invulnerableUntil: 0,
+            leftHalf: null,
+            rightHalf: null
+        };
+        
+        this.bossFruit = lemon;
+        this.lemons.push(lemon);
+        this.events.push({ type: 'spawn', lemon });
+    }
+
+    // Bosses ignore gravity: they rise into view, then drift side to side and bob near the top
+    moveBoss(lemon, dt) {
+        const boss = lemon.boss;
+        const cruiseY = this.height * CAMPAIGN.bossCruiseHeight;
+        if (!boss.risen) {
+            lemon.y = Math.max(cruiseY, lemon.y - CAMPAIGN.bossRiseSpeed * dt * 60);
+            boss.risen = lemon.y === cruiseY;
+            return;
+        }
+        
+        boss.drift += dt;
+        lemon.x += lemon.speedX * dt * 60;
+        // Turns around at the walls without losing speed, see handleBoundaryCollision
+        if (lemon.x < 0) {
+            lemon.x = 0;
+            lemon.speedX = Math.abs(lemon.speedX);
+        } else if (lemon.x + lemon.width > this.width) {
+            lemon.x = this.width - lemon.width;
+            lemon.speedX = -Math.abs(lemon.speedX);
+        }
+        lemon.y = cruiseY + Math.sin(boss.drift * 2) * CAMPAIGN.bossBob;
+        lemon.rotation = Math.sin(boss.drift * 1.3) * 0.2;
+    }
+
+    // Every blade hit on a fruit with hp to spare chips one off and makes it ignore the blade for a
+    // moment; regular fruit get knocked along the swipe, bosses break smaller fruit off instead.
+    // Returns true when the next hit should cut it like any other fruit
+    damageFruit(lemon) {
+        if (this.simTime < lemon.invulnerableUntil) return false;
+        if (!(lemon.hp > 1)) return true; // Plain fruit, or armor down to its last hp
+        
+        const hit = this.findBladeHit(lemon);
+        if (!hit) return false;
+        
+        lemon.hp--;
+        lemon.sliceAngle = Math.atan2(hit.segment.end.y - hit.segment.start.y, hit.segment.end.x - hit.segment.start.x);
+        lemon.invulnerableUntil = this.simTime + (lemon.boss ? CAMPAIGN.bossHitCooldown : ARMOR.hitCooldown);
+        const multiplier = this.activeEffects.double ? POWER_UPS.double.multiplier : 1;
+        const points = (lemon.boss ? CAMPAIGN.bossHitPoints : ARMOR.hitPoints) * multiplier;
+        this.score += points;
+        this.events.push({ type: 'hit', lemon, hp: lemon.hp, points });
+        
+        if (lemon.boss) {
+            for (let i = 0; i < lemon.boss.splits; i++) {
+                this.spawnBossSplit(lemon, i);
+            }
+        } else {
+            const { start, end } = hit.segment;
+            const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+            lemon.speedX += (end.x - start.x) / length * ARMOR.knockback;
+            lemon.speedY += (end.y - start.y) / length * ARMOR.knockback;
+        }
+        return false;
+    }
+
+    // Small fruit of the boss's kind flung out of it, free to miss
+    spawnBossSplit(lemon, index) {
+        const fruit = this.throwFruit(0, { isHazard: false, isTimeBonus: false, powerUp: null, specialFruit: lemon.specialFruit });
+        const side = index % 2 === 0 ? -1 : 1;
+        fruit.width *= CAMPAIGN.splitScale;
+        fruit.height *= CAMPAIGN.splitScale;
+        fruit.hp = fruit.maxHp = 1; // Even when broken off an armored kind
+        fruit.x = lemon.x + lemon.width / 2 - fruit.width / 2;
+        fruit.y = lemon.y + lemon.height / 2 - fruit.height / 2;
+        fruit.speedX = side * (3 + this.rng.next() * 4);
+        fruit.speedY = -(4 + this.rng.next() * 5);
+        fruit.fromBoss = true;
+    }
+
+    clearLevel() {
+        this.levelCleared = true;
+        this.clearTime = this.simTime;
+        this.bossFruit = null;
+        this.events.push({ type: 'levelClear' });
+    }
+
+    activatePowerUp(lemon) {
+        const powerUp = POWER_UPS[lemon.powerUp];
+        const remaining = this.activeEffects[powerUp.name] || 0;
+        if (powerUp.name === 'frenzy' && remaining === 0) {
+            this.nextFrenzySpawn = this.spawnClock;
+        }
+        this.activeEffects[powerUp.name] = Math.min(powerUp.maxDuration, remaining + powerUp.duration);
+        this.events.push({ type: 'powerUp', lemon, powerUp });
+    }
+
+    // Counts effects down and runs the frenzy spawner
+    updateEffects(deltaMs) {
+        for (const name of Object.keys(this.activeEffects)) {
+            this.activeEffects[name] -= deltaMs;
+            if (this.activeEffects[name] <= 0) {
+                delete this.activeEffects[name];
+            }
+        }
+        
+        if (this.activeEffects.frenzy) {
+            while (this.spawnClock >= this.nextFrenzySpawn) {
+                this.spawnFrenzyFruit();
+                this.nextFrenzySpawn += POWER_UPS.frenzy.interval;
+            }
+        }
+    }
+
+    getTimeScale() {
+        return this.activeEffects.freeze ? POWER_UPS.freeze.timeScale : 1;
+    }
+
+    // Points a slice is worth right now, with double applied
+    getSlicePoints(lemon) {
+        const multiplier = this.activeEffects.double ? POWER_UPS.double.multiplier : 1;
+        return this.getFruitPoints(lemon) * multiplier;
+    }
+
+    getFruitPoints(lemon) {
+        if (lemon.boss) return lemon.boss.points;
+        if (lemon.fromBoss) return CAMPAIGN.splitPoints;
+        if (lemon.isSpecial) return lemon.specialFruit.points;
+        if (lemon.isTimeBonus) return TIME_BONUS.points;
+        if (lemon.isFrenzy) return POWER_UPS.frenzy.points;
+        return 10;
+    }
+
+    getTimeLeft() {
+        return Math.max(0, Math.ceil((this.runDuration - this.simTime) / 1000));
+    }
+
+    isRunOver() {
+        if (this.mode.lives !== null && this.lives <= 0) return true;
+        if (this.runDuration && this.simTime >= this.runDuration) return true;
+        return false;
+    }
+
+    addTime(clock) {
+        this.runDuration += TIME_BONUS.seconds * 1000;
+        this.events.push({ type: 'timeBonus', lemon: clock, seconds: TIME_BONUS.seconds });
+    }
+
+    explodeBomb(bomb, blade) {
+        // A bomb ruins the stroke it was cut in
+        blade.stroke = { cuts: 0, points: 0, x: 0, y: 0, lastCut: 0 };
+        
+        if (this.mode.bombEndsRun) {
+            this.events.push({ type: 'bomb', lemon: bomb, penalty: 0 });
+            this.finish();
+            return;
+        }
+        
+        if (this.mode.lives === null) {
+            // Timed modes without lives take points instead
+            this.score = Math.max(0, this.score - this.mode.bombPenalty);
+            this.events.push({ type: 'bomb', lemon: bomb, penalty: this.mode.bombPenalty });
+        } else {
+            this.lives = Math.max(0, this.lives - BOMB.livesLost);
+            this.events.push({ type: 'bomb', lemon: bomb, penalty: 0 });
+        }
+        if (this.isRunOver()) {
+            this.finish();
+        }
+    }
+
+    beginStroke(blade) {
+        // Settle anything cut while hovering before the new stroke starts counting
+        this.finishCombo(blade);
+        blade.active = true;
+    }
+
+    endStroke(blade) {
+        this.finishCombo(blade);
+        blade.clear();
+    }
+
+    getComboMultiplier(cuts) {
+        const extraFruits = cuts - (COMBO_SETTINGS.minFruits - 1);
+        return Math.min(
+            COMBO_SETTINGS.maxMultiplier,
+            1 + extraFruits * COMBO_SETTINGS.multiplierStep
+        );
+    }
+
+    finishCombo(blade) {
+        const { cuts, points, x, y } = blade.stroke;
+        blade.stroke = { cuts: 0, points: 0, x: 0, y: 0, lastCut: 0 };
+        if (cuts < COMBO_SETTINGS.minFruits) return;
+
+        const bonus = Math.round(points * (this.getComboMultiplier(cuts) - 1));
+        this.score += bonus;
+        this.comboCount++;
+        this.comboBonus += bonus;
+        this.bestCombo = Math.max(this.bestCombo, cuts);
+        this.events.push({ type: 'combo', cuts, bonus, x, y });
+    }
+
+    // Tests every blade segment cut since the last step against the area the fruit swept during it,
+    // so a fast flick can't jump over a fruit between two steps. Returns { blade, segment }, or null
+    findBladeHit(lemon) {
+        let swept = null;
+        for (const blade of this.blades.values()) {
+            if (blade.segments.length === 0) continue;
+            
+            swept = swept || this.getSweptHitPolygon(lemon);
+            const tolerance = BLADE_HIT_TOLERANCE[blade.inputType] || BLADE_HIT_TOLERANCE.mouse;
+            const segment = blade.segments.find(segment =>
+                this.segmentToPolygonDistance(segment.start, segment.end, swept) <= tolerance
+            );
+            if (segment) {
+                return { blade, segment };
+            }
+        }
+        return null;
+    }
+
+    // Cuts the fruit if a blade hit it, see findBladeHit. Returns the blade that cut it, or null
+    checkCollision(lemon) {
+        if (lemon.sliced) return null;
+        
+        const hit = this.findBladeHit(lemon);
+        if (!hit) return null;
+        
+        // Calculate slice angle based on actual movement
+        const { start, end } = hit.segment;
+        lemon.sliceAngle = Math.atan2(end.y - start.y, end.x - start.x);
+        this.cutFruit(lemon, start, end);
+        return hit.blade;
+    }
+
+    // Splits the fruit's outline along the blade line into two halves that fly apart,
+    // each spinning around its own center of mass
+    cutFruit(lemon, start, end) {
+        const centerX = lemon.x + lemon.width / 2;
+        const centerY = lemon.y + lemon.height / 2;
+        const cos = Math.cos(lemon.rotation);
+        const sin = Math.sin(lemon.rotation);
+        
+        // The blade line in sprite space (unrotated, centered on the fruit), as normal . p = offset
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        const dirX = (dx * cos + dy * sin) / length;
+        const dirY = (dy * cos - dx * sin) / length;
+        const normalX = -dirY;
+        const normalY = dirX;
+        const localX = (start.x - centerX) * cos + (start.y - centerY) * sin;
+        const localY = (start.y - centerY) * cos - (start.x - centerX) * sin;
+        let offset = localX * normalX + localY * normalY;
+        
+        const shape = this.getHitShape(lemon) || this.spriteShape;
+        const outline = shape.map(point => ({ x: point.x * lemon.width, y: point.y * lemon.height }));
+        let left = clipPolygon(outline, normalX, normalY, offset);
+        let right = clipPolygon(outline, -normalX, -normalY, -offset);
+        if (left.length < 3 || right.length < 3) {
+            // The blade only grazed the shape within its tolerance, so cut through the middle
+            offset = 0;
+            left = clipPolygon(outline, normalX, normalY, offset);
+            right = clipPolygon(outline, -normalX, -normalY, -offset);
+        }
+        
+        const sliceForce = 8;
+        lemon.leftHalf = this.createHalf(lemon, left, -1, { normalX, normalY, offset });
+        lemon.rightHalf = this.createHalf(lemon, right, 1, { normalX: -normalX, normalY: -normalY, offset: -offset });
+        for (const half of [lemon.leftHalf, lemon.rightHalf]) {
+            // Push each half away from the cut, against the normal of the side it keeps
+            half.speedX -= (half.cut.normalX * cos - half.cut.normalY * sin) * sliceForce;
+            half.speedY -= (half.cut.normalX * sin + half.cut.normalY * cos) * sliceForce;
+        }
+    }
+
+    // A half keeps the sprite-space cut (normal . p <= offset) and flies from its centroid
+    createHalf(lemon, outline, spin, cut) {
+        const centroid = polygonCentroid(outline);
+        const cos = Math.cos(lemon.rotation);
+        const sin = Math.sin(lemon.rotation);
+        
+        let radius = 0;
+        for (const point of outline) {
+            radius = Math.max(radius, Math.hypot(point.x - centroid.x, point.y - centroid.y));
+        }
+        
+        // Ends of the cut edge, where the flesh shows
+        const dirX = -cut.normalY;
+        const dirY = cut.normalX;
+        const cutPoints = outline.filter(point => point.onCut);
+        const along = cutPoints.map(point => point.x * dirX + point.y * dirY);
+        const cutStart = cutPoints[along.indexOf(Math.min(...along))];
+        const cutEnd = cutPoints[along.indexOf(Math.max(...along))];
+        
+        return {
+            x: lemon.x + lemon.width / 2 + centroid.x * cos - centroid.y * sin,
+            y: lemon.y + lemon.height / 2 + centroid.x * sin + centroid.y * cos,
+            pivotX: centroid.x, // Center of mass in sprite space
+            pivotY: centroid.y,
+            outline: outline,
+            radius: radius,
+            cut: cut,
+            cutStart: cutStart || null,
+            cutEnd: cutEnd || null,
+            rotation: lemon.rotation,
+            speedX: lemon.speedX,
+            speedY: lemon.speedY,
+            rotationSpeed: spin * Math.min(0.3, 0.05 * lemon.width / radius) // Smaller pieces spin faster
+        };
+    }
+
+    getHitShape(lemon) {
+        if (lemon.isSpecial) return lemon.specialFruit.hitShape;
+        if (lemon.isHazard || lemon.isTimeBonus || lemon.powerUp) return this.roundShape;
+        return this.lemonShape;
+    }
+
+    // The fruit's hit shape in canvas space, following its size and rotation
+    getHitPolygon(lemon, x = lemon.x, y = lemon.y, rotation = lemon.rotation) {
+        let shape = this.getHitShape(lemon);
+        let width = lemon.width;
+        let height = lemon.height;
+        if (!shape) {
+            // No sprite mask available, use the manifest's circle
+            shape = this.roundShape;
+            width = height = lemon.specialFruit.hitRadius * 2;
+        }
+        
+        const centerX = x + lemon.width / 2;
+        const centerY = y + lemon.height / 2;
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        return shape.map(point => {
+            const px = point.x * width;
+            const py = point.y * height;
+            return {
+                x: centerX + px * cos - py * sin,
+                y: centerY + px * sin + py * cos
+            };
+        });
+    }
+
+    // Everything the fruit covered during the last step; hit shapes are convex, so the hull of both ends is exact for the move
+    getSweptHitPolygon(lemon) {
+        const before = this.getHitPolygon(lemon, lemon.prevX, lemon.prevY, lemon.prevRotation);
+        return convexHull(before.concat(this.getHitPolygon(lemon)));
+    }
+
+    // 0 when the segment crosses or lies inside the polygon, otherwise the gap between them
+    segmentToPolygonDistance(start, end, polygon) {
+        if (this.pointInPolygon(start, polygon)) return 0;
+        
+        let closest = Infinity;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            if (this.segmentsIntersect(start, end, a, b)) return 0;
+            
+            closest = Math.min(
+                closest,
+                this.pointToLineDistance(start.x, start.y, a.x, a.y, b.x, b.y),
+                this.pointToLineDistance(end.x, end.y, a.x, a.y, b.x, b.y),
+                this.pointToLineDistance(a.x, a.y, start.x, start.y, end.x, end.y)
+            );
+        }
+        return closest;
+    }
+
+    pointInPolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    segmentsIntersect(p1, p2, p3, p4) {
+        const d1 = (p4.x - p3.x) * (p1.y - p3.y) - (p4.y - p3.y) * (p1.x - p3.x);
+        const d2 = (p4.x - p3.x) * (p2.y - p3.y) - (p4.y - p3.y) * (p2.x - p3.x);
+        const d3 = (p2.x - p1.x) * (p3.y - p1.y) - (p2.y - p1.y) * (p3.x - p1.x);
+        const d4 = (p2.x - p1.x) * (p4.y - p1.y) - (p2.y - p1.y) * (p4.x - p1.x);
+        return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+    }
+
+    pointToLineDistance(x, y, x1, y1, x2, y2) {
+        const A = x - x1;
+        const B = y - y1;
+        const C = x2 - x1;
+        const D = y2 - y1;
+        
+        const dot = A * C + B * D;
+        const lenSq = C * C + D * D;
+        let param = -1;
+        
+        if (lenSq !== 0) param = dot / lenSq;
+        
+        let xx, yy;
+        
+        if (param < 0) {
+            xx = x1;
+            yy = y1;
+        } else if (param > 1) {
+            xx = x2;
+            yy = y2;
+        } else {
+            xx = x1 + param * C;
+            yy = y1 + param * D;
+        }
+        
+        const dx = x - xx;
+        const dy = y - yy;
+        
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    handleBoundaryCollision(lemon) {
+        // Handle boundary collision for whole lemon
+        if (!lemon.sliced) {
+            if (lemon.boss) return; // moveBoss keeps it drifting at full speed between the walls
+            if (lemon.x < 0) {
+                lemon.x = 0;
+                lemon.speedX = Math.abs(lemon.speedX) * 0.8; // Bounce with 20% speed loss
+            } else if (lemon.x + lemon.width > this.width) {
+                lemon.x = this.width - lemon.width;
+                lemon.speedX = -Math.abs(lemon.speedX) * 0.8;
+            }
+        } else {
+            // Halves bounce off the walls around their own center of mass
+            for (const half of [lemon.leftHalf, lemon.rightHalf]) {
+                if (half.x - half.radius < 0) {
+                    half.x = half.radius;
+                    half.speedX = Math.abs(half.speedX) * 0.8;
+                } else if (half.x + half.radius > this.width) {
+                    half.x = this.width - half.radius;
+                    half.speedX = -Math.abs(half.speedX) * 0.8;
+                }
+            }
+        }
+    }
+}
+
+// Lets Node load the simulation for tests and tools; in the browser these are plain globals
+if (typeof module !== 'undefined') {
+    module.exports = {
+        Simulation,
+        Blade,
+        SeededRandom,
+        createEllipseShape,
+        convexHull,
+        clipPolygon,
+        polygonCentroid,
+        DEVICE_SETTINGS,
+        GAME_MODES,
+        DIFFICULTY_PRESETS,
+        CAMPAIGN_LEVELS,
+        CAMPAIGN,
+        TIME_BONUS,
+        POWER_UPS,
+        BOMB,
+        ARMOR,
+        COMBO_SETTINGS,
+        BLADE_HIT_TOLERANCE
+    };
+}
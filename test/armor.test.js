@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ARMOR } = require('../simulation.js');
+const { TICK_MS, makeSim: makeClassic, placeFruit } = require('./helpers.js');
+
+const ARMORED = { name: 'lemonogata', points: 300, rarity: 1, size: 80, mobileSize: 70, hitRadius: 40, minDifficulty: 1, hp: 3, hitShape: null };
+
+function makeSim() {
+    const sim = makeClassic({ specialFruits: [ARMORED] });
+    sim.difficultySettings.gravity = 0; // Keep it where the swipes are
+    return sim;
+}
+
+function addArmored(sim) {
+    return placeFruit(sim, { specialFruit: ARMORED });
+}
+
+// A left to right swipe through the middle of the fruit, then the button goes up
+function swipe(sim, lemon, deltaMs = TICK_MS) {
+    const y = lemon.y + lemon.height / 2;
+    const event = (type, x) => ({ type, x, y, pointerId: 1, inputType: 'mouse' });
+    const events = sim.step([event('down', lemon.x - 20), event('move', lemon.x - 20), event('move', lemon.x + lemon.width + 20)], deltaMs);
+    sim.step([event('up', lemon.x + lemon.width + 20)], TICK_MS);
+    return events;
+}
+
+test.describe('armored fruit', () => {
+    test('takes its hp from the catalog', () => {
+        const sim = makeSim();
+        const lemon = addArmored(sim);
+        assert.equal(lemon.hp, 3);
+        assert.equal(lemon.maxHp, 3);
+    });
+
+    test('chips off one hp per hit and only the last one cuts it for full points', () => {
+        const sim = makeSim();
+        const lemon = addArmored(sim);
+
+        let events = swipe(sim, lemon);
+        assert.deepEqual(events.filter(event => event.type === 'hit').map(event => event.hp), [2]);
+        assert.equal(lemon.sliced, false);
+        assert.equal(sim.score, ARMOR.hitPoints);
+
+        events = swipe(sim, lemon, ARMOR.hitCooldown);
+        assert.equal(lemon.hp, 1);
+        assert.equal(lemon.sliced, false);
+
+        events = swipe(sim, lemon, ARMOR.hitCooldown);
+        assert.equal(lemon.sliced, true);
+        assert.ok(lemon.leftHalf && lemon.rightHalf);
+        assert.deepEqual(events.find(event => event.type === 'slice').points, 300);
+        assert.equal(sim.score, ARMOR.hitPoints * 2 + 300);
+        assert.equal(sim.fruitsSliced, 1);
+    });
+
+    test('ignores the blade for a moment after a hit, so one long swipe is one hit', () => {
+        const sim = makeSim();
+        const lemon = addArmored(sim);
+        const y = lemon.y + lemon.height / 2;
+        const event = (type, x) => ({ type, x, y, pointerId: 1, inputType: 'mouse' });
+
+        const hits = [];
+        sim.step([event('down', lemon.x - 20), event('move', lemon.x - 20)], TICK_MS);
+        for (let i = 0; i < 8; i++) {
+            // Back and forth through the fruit, faster than the cooldown
+            const x = i % 2 === 0 ? lemon.x + lemon.width + 20 : lemon.x - 20;
+            hits.push(...sim.step([event('move', x)], TICK_MS).filter(event => event.type === 'hit'));
+        }
+        assert.equal(hits.length, 1);
+        assert.equal(lemon.hp, 2);
+    });
+
+    test('gets knocked along the swipe', () => {
+        const sim = makeSim();
+        const lemon = addArmored(sim);
+        swipe(sim, lemon);
+        assert.ok(Math.abs(lemon.speedX - ARMOR.knockback) < 1e-9, `speedX ${lemon.speedX}`);
+        assert.ok(Math.abs(lemon.speedY) < 1e-9);
+    });
+
+    test('plain fruit still go down to one cut', () => {
+        const sim = makeSim();
+        const lemon = placeFruit(sim);
+        const events = swipe(sim, lemon);
+        assert.equal(lemon.hp, 1);
+        assert.equal(lemon.sliced, true);
+        assert.ok(!events.some(event => event.type === 'hit'));
+    });
+});
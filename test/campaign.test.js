@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Simulation, CAMPAIGN_LEVELS, CAMPAIGN } = require('../simulation.js');
+const { TICK_MS, placeFruit } = require('./helpers.js');
+const FRUITS = ['grapefruit', 'lime', 'apple', 'twoapple', 'notlemon', 'lemonogata', 'wife'].map(name => ({
+    name, points: 100, rarity: 1, size: 80, mobileSize: 70, hitRadius: 40, minDifficulty: 1, hitShape: null
+}));
+
+function makeCampaign(level = 'grove', fields = {}) {
+    return new Simulation(Object.assign({ mode: 'campaign', level, seed: 3, width: 1280, height: 720, specialFruits: FRUITS }, fields));
+}
+
+// Steps with no input until the condition holds, or fails after ten simulated minutes
+function stepUntil(sim, condition) {
+    const events = [];
+    for (let i = 0; i < 36000 && !condition(); i++) {
+        events.push(...sim.step([], TICK_MS));
+    }
+    assert.ok(condition(), 'condition never held');
+    return events;
+}
+
+// Clears the screen as if every fruit had been cut, so waves move on without costing lives
+function cutEverything(sim) {
+    sim.lemons = sim.lemons.filter(lemon => lemon.boss);
+}
+
+// A horizontal swipe through the middle of the fruit
+function swipeThrough(lemon) {
+    const y = lemon.y + lemon.height / 2;
+    const event = (type, x) => ({ type, x, y, pointerId: 1, inputType: 'mouse' });
+    return [event('down', lemon.x - 20), event('move', lemon.x + lemon.width / 2), event('move', lemon.x + lemon.width + 20)];
+}
+
+function bringUpBoss(sim) {
+    stepUntil(sim, () => {
+        cutEverything(sim);
+        return sim.bossFruit !== null;
+    });
+    stepUntil(sim, () => sim.bossFruit.boss.risen);
+}
+
+test.describe('campaign waves', () => {
+    test('announces and throws every wave in order, then the boss', () => {
+        const sim = makeCampaign('lieutenants');
+        const level = CAMPAIGN_LEVELS.find(entry => entry.id === 'lieutenants');
+        const events = stepUntil(sim, () => {
+            cutEverything(sim);
+            return sim.bossFruit !== null;
+        });
+        const waves = events.filter(event => event.type === 'wave').map(event => event.wave);
+        const thrown = events.filter(event => event.type === 'spawn' && !event.lemon.boss).length;
+
+        assert.deepEqual(waves, [1, 2, 3, 4]);
+        assert.ok(thrown >= level.waves.reduce((sum, wave) => sum + wave.count, 0));
+    });
+
+    test('only throws fruit from the wave mix', () => {
+        const sim = makeCampaign('guards');
+        const events = stepUntil(sim, () => {
+            cutEverything(sim);
+            return sim.waveIndex >= 2;
+        });
+        const names = new Set(events
+            .filter(event => event.type === 'spawn' && !event.lemon.isHazard && !event.lemon.powerUp)
+            .map(event => event.lemon.specialFruit ? event.lemon.specialFruit.name : 'lemon'));
+        assert.deepEqual([...names].sort(), ['grapefruit', 'lemon']);
+    });
+
+    test('waits for the screen to clear before the next wave', () => {
+        const sim = makeCampaign('grove');
+        stepUntil(sim, () => sim.waveIndex === 0 && sim.waveSpawned === CAMPAIGN_LEVELS[0].waves[0].count);
+        const events = stepUntil(sim, () => sim.lemons.length === 0);
+        assert.ok(!events.some(event => event.type === 'wave'));
+        assert.equal(sim.waveIndex, 0);
+    });
+
+    test('throws plain lemons for fruit missing from the catalog', () => {
+        const sim = makeCampaign('guards', { specialFruits: [] });
+        const events = stepUntil(sim, () => sim.lemons.some(lemon => !lemon.isHazard && !lemon.powerUp));
+        const spawned = events.filter(event => event.type === 'spawn').map(event => event.lemon);
+        assert.ok(spawned.every(lemon => lemon.specialFruit === null));
+    });
+});
+
+test.describe('campaign boss', () => {
+    test('rises into view and drifts without falling', () => {
+        const sim = makeCampaign('grove');
+        bringUpBoss(sim);
+        const boss = sim.bossFruit;
+        const startX = boss.x;
+        for (let i = 0; i < 300; i++) {
+            sim.step([], TICK_MS);
+            cutEverything(sim);
+            assert.ok(boss.y < sim.height * 0.3, `boss sank to ${boss.y}`);
+            assert.ok(boss.x >= -1 && boss.x + boss.width <= sim.width + 1);
+        }
+        assert.notEqual(boss.x, startX);
+    });
+
+    test('keeps its drift speed through wall bounces', () => {
+        const sim = makeCampaign('grove');
+        bringUpBoss(sim);
+        const boss = sim.bossFruit;
+        let bounces = 0;
+        for (let i = 0; i < 60 * 60 && bounces < 4; i++) {
+            const direction = Math.sign(boss.speedX);
+            sim.step([], TICK_MS);
+            cutEverything(sim);
+            if (Math.sign(boss.speedX) !== direction) bounces++;
+        }
+        assert.equal(bounces, 4);
+        assert.equal(Math.abs(boss.speedX), CAMPAIGN.bossDriftSpeed);
+    });
+
+    test('takes one hit per swipe, breaks fruit off and only goes down on the last hit', () => {
+        const sim = makeCampaign('grove');
+        bringUpBoss(sim);
+        const boss = sim.bossFruit;
+        const hp = boss.maxHp;
+        const scoreBefore = sim.score;
+
+        let events = sim.step(swipeThrough(boss), TICK_MS);
+        const hit = events.find(event => event.type === 'hit');
+        assert.equal(hit.hp, hp - 1);
+        assert.equal(events.filter(event => event.type === 'spawn' && event.lemon.fromBoss).length, 1);
+        assert.equal(sim.score, scoreBefore + CAMPAIGN.bossHitPoints);
+
+        // Swiping again right away does nothing while it's invulnerable
+        events = sim.step(swipeThrough(boss).slice(1), TICK_MS);
+        assert.ok(!events.some(event => event.type === 'hit'));
+        assert.equal(boss.hp, hp - 1);
+
+        for (let left = hp - 1; left > 1; left--) {
+            sim.step([{ type: 'up', x: 0, y: 0, pointerId: 1, inputType: 'mouse' }], CAMPAIGN.bossHitCooldown);
+            events = sim.step(swipeThrough(boss), TICK_MS);
+            assert.equal(boss.hp, left - 1);
+            assert.equal(boss.sliced, false);
+        }
+
+        sim.step([{ type: 'up', x: 0, y: 0, pointerId: 1, inputType: 'mouse' }], CAMPAIGN.bossHitCooldown);
+        events = sim.step(swipeThrough(boss), TICK_MS);
+        assert.equal(boss.sliced, true);
+        const slice = events.find(event => event.type === 'slice' && event.lemon === boss);
+        assert.equal(slice.points, boss.boss.points);
+        assert.ok(events.some(event => event.type === 'levelClear'));
+        assert.equal(sim.levelCleared, true);
+    });
+
+    test('the run ends a moment after the boss goes down, and stragglers are free', () => {
+        const sim = makeCampaign('grove');
+        bringUpBoss(sim);
+        sim.clearLevel();
+        const lives = sim.lives;
+        placeFruit(sim, { y: sim.height + 100, speedY: 5 }); // About to fall off uncut
+
+        const events = stepUntil(sim, () => sim.over);
+        assert.equal(sim.lives, lives);
+        assert.ok(sim.simTime - sim.clearTime >= CAMPAIGN.outro);
+        assert.equal(events[events.length - 1].type, 'over');
+    });
+
+    test('fruit broken off the boss are free to miss', () => {
+        const sim = makeCampaign('grove');
+        bringUpBoss(sim);
+        sim.step(swipeThrough(sim.bossFruit), TICK_MS);
+        const lives = sim.lives;
+        const split = sim.lemons.find(lemon => lemon.fromBoss);
+        const events = stepUntil(sim, () => !sim.lemons.includes(split));
+        assert.ok(!events.some(event => event.type === 'miss' && event.lemon === split));
+        assert.equal(sim.lives, lives);
+    });
+});
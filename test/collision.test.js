@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TICK_MS, makeSim, placeFruit } = require('./helpers.js');
+
+// Moves a blade through the given points, timeStep simulation ms apart, with the segment gap step() allows
+function swipe(sim, points, { inputType = 'mouse', timeStep = 10, pointerId = 1 } = {}) {
+    const blade = sim.getBlade(pointerId, inputType);
+    blade.active = true;
+    points.forEach(([x, y], i) => blade.update(x, y, i * timeStep, TICK_MS * 2.5));
+    return blade;
+}
+
+// Steps the simulation with one mouse point at each [x, y], the given number of ticks apart
+function swipeInTicks(sim, points, ticksApart) {
+    const events = [];
+    points.forEach(([x, y], i) => {
+        for (let tick = 1; tick < ticksApart && i > 0; tick++) {
+            events.push(...sim.step([], TICK_MS)); // Ticks with no input, like a slow frame
+        }
+        events.push(...sim.step([{ type: 'move', x, y, pointerId: 1, inputType: 'mouse' }], TICK_MS));
+    });
+    return events;
+}
+
+test.describe('pointToLineDistance', () => {
+    const sim = makeSim();
+
+    test('measures perpendicular distance to the middle of the segment', () => {
+        assert.equal(sim.pointToLineDistance(5, 3, 0, 0, 10, 0), 3);
+    });
+
+    test('measures to the nearest end past either end of the segment', () => {
+        assert.equal(sim.pointToLineDistance(-3, 4, 0, 0, 10, 0), 5);
+        assert.equal(sim.pointToLineDistance(13, -4, 0, 0, 10, 0), 5);
+    });
+
+    test('is 0 for points on the segment, including its ends', () => {
+        assert.equal(sim.pointToLineDistance(4, 4, 0, 0, 10, 10), 0);
+        assert.equal(sim.pointToLineDistance(0, 0, 0, 0, 10, 10), 0);
+        assert.equal(sim.pointToLineDistance(10, 10, 0, 0, 10, 10), 0);
+    });
+
+    test('treats a zero-length segment as a point', () => {
+        assert.equal(sim.pointToLineDistance(3, 4, 0, 0, 0, 0), 5);
+    });
+
+    test('does not care which way the segment points', () => {
+        assert.equal(sim.pointToLineDistance(2, 7, 1, 1, 9, 5), sim.pointToLineDistance(2, 7, 9, 5, 1, 1));
+    });
+});
+
+test.describe('checkCollision', () => {
+    test('cuts a fruit the blade crosses and returns that blade', () => {
+        const sim = makeSim();
+        const lemon = placeFruit(sim, { x: 600, y: 300 });
+        const blade = swipe(sim, [[550, 320], [700, 320]]);
+
+        assert.equal(sim.checkCollision(lemon), blade);
+        assert.ok(lemon.leftHalf && lemon.rightHalf);
+        assert.equal(lemon.sliceAngle, 0);
+    });
+
+    test('misses a fruit the blade passes by', () => {
+        const sim = makeSim();
+        const lemon = placeFruit(sim, { x: 600, y: 300 });
+        swipe(sim, [[550, 250], [700, 250]]);
+
+        assert.equal(sim.checkCollision(lemon), null);
+        assert.equal(lemon.leftHalf, null);
+    });
+
+    test('gives touch more slack than a mouse', () => {
+        // 8px above the top of the lemon: outside the mouse's 6px, inside touch's 10px
+        const mouse = makeSim();
+        swipe(mouse, [[550, 292], [700, 292]], { inputType: 'mouse' });
+        assert.equal(mouse.checkCollision(placeFruit(mouse, { x: 600, y: 300 })), null);
+
+        const touch = makeSim();
+        swipe(touch, [[550, 292], [700, 292]], { inputType: 'touch' });
+        assert.notEqual(touch.checkCollision(placeFruit(touch, { x: 600, y: 300 })), null);
+    });
+
+    test('cuts between points one or two ticks apart, so 30 fps frames still slice', () => {
+        for (const ticksApart of [1, 2]) {
+            const sim = makeSim();
+            placeFruit(sim, { x: 600, y: 300 });
+            const events = swipeInTicks(sim, [[550, 320], [700, 320]], ticksApart);
+            assert.ok(events.some(event => event.type === 'slice'), `${ticksApart} ticks apart`);
+        }
+    });
+
+    test('does not cut between points more than two ticks apart', () => {
+        const sim = makeSim();
+        placeFruit(sim, { x: 600, y: 300 });
+        const events = swipeInTicks(sim, [[550, 320], [700, 320]], 3);
+
+        assert.ok(!events.some(event => event.type === 'slice'));
+        assert.equal(sim.blades.get(1).segments.length, 0);
+    });
+
+    test('catches a fruit that moved across the blade during the step', () => {
+        const sim = makeSim();
+        const lemon = placeFruit(sim, { x: 600, y: 200 });
+        lemon.prevY = 400; // Jumped clean over y = 320 in one step
+        swipe(sim, [[550, 320], [700, 320]]);
+
+        assert.notEqual(sim.checkCollision(lemon), null);
+    });
+
+    test('ignores fruit that is already cut', () => {
+        const sim = makeSim();
+        const lemon = placeFruit(sim, { x: 600, y: 300 });
+        swipe(sim, [[550, 320], [700, 320]]);
+        sim.checkCollision(lemon);
+        lemon.sliced = true;
+
+        assert.equal(sim.checkCollision(lemon), null);
+    });
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Simulation, DEVICE_SETTINGS, DIFFICULTY_PRESETS } = require('../simulation.js');
+
+const simAt = (preset, mode = 'classic') => new Simulation({ mode, preset, width: 1280, height: 720 });
+
+test.describe('difficulty ramps', () => {
+    test('linear climbs by rate every 10 seconds up to max', () => {
+        const ramp = { type: 'linear', rate: 0.1, max: 3 };
+        assert.equal(Simulation.getRampDifficulty(ramp, 0), 1);
+        assert.equal(Simulation.getRampDifficulty(ramp, 50), 1.5);
+        assert.equal(Simulation.getRampDifficulty(ramp, 1000), 3);
+    });
+
+    test('power starts gentler than linear and ends up steeper', () => {
+        const linear = { type: 'linear', rate: 0.1, max: 10 };
+        const power = { type: 'power', rate: 0.1, exponent: 1.5, max: 10 };
+        assert.ok(Simulation.getRampDifficulty(power, 5) < Simulation.getRampDifficulty(linear, 5));
+        assert.ok(Simulation.getRampDifficulty(power, 100) > Simulation.getRampDifficulty(linear, 100));
+    });
+
+    test('waves ease off for the breather at the end of each wave', () => {
+        const ramp = { type: 'linear', rate: 0.1, max: 10, waves: { length: 30, breather: 4, dip: 1 } };
+        assert.equal(Simulation.getRampDifficulty(ramp, 25), 1.25);
+        assert.equal(Simulation.getRampDifficulty(ramp, 27), 1);
+        assert.equal(Simulation.getRampDifficulty(ramp, 31), 1.31);
+
+        const halfDip = { ...ramp, waves: { length: 30, breather: 4, dip: 0.5 } };
+        assert.ok(Math.abs(Simulation.getRampDifficulty(halfDip, 28) - 1.14) < 1e-9);
+    });
+});
+
+test.describe('difficulty presets', () => {
+    test('normal uses the device settings unchanged', () => {
+        const settings = simAt('normal').difficultySettings;
+        assert.equal(settings.baseSpawnDelay, DEVICE_SETTINGS.desktop.spawnDelay);
+        assert.equal(settings.minSpawnDelay, DEVICE_SETTINGS.desktop.minSpawnDelay);
+        assert.equal(settings.maxFruitsPerSpawn, DEVICE_SETTINGS.desktop.maxFruitsPerSpawn);
+        assert.equal(settings.gravity, DEVICE_SETTINGS.desktop.gravity);
+        assert.equal(settings.baseThrowForce, DEVICE_SETTINGS.desktop.baseThrowForce);
+        assert.equal(settings.specialFruitChance, 0.15);
+    });
+
+    test('each step up spawns faster, throws harder and climbs higher', () => {
+        const names = ['easy', 'normal', 'hard', 'insane'];
+        const settings = names.map(name => simAt(name).difficultySettings);
+        for (let i = 1; i < names.length; i++) {
+            assert.ok(settings[i].baseSpawnDelay < settings[i - 1].baseSpawnDelay, names[i]);
+            assert.ok(settings[i].gravity > settings[i - 1].gravity, names[i]);
+            assert.ok(settings[i].maxHazardChance > settings[i - 1].maxHazardChance, names[i]);
+            assert.ok(settings[i].maxFruitsPerSpawn >= settings[i - 1].maxFruitsPerSpawn, names[i]);
+            assert.ok(settings[i].ramp.max > settings[i - 1].ramp.max, names[i]);
+        }
+    });
+
+    test('scales the mode overrides, but keeps the mode ramp', () => {
+        const zen = simAt('hard', 'zen');
+        assert.equal(zen.difficultySettings.baseSpawnDelay, 1800 * DIFFICULTY_PRESETS.hard.spawnDelay);
+        assert.deepEqual(zen.difficultySettings.ramp, { type: 'linear', rate: 0.05, max: 2 });
+    });
+
+    test('daily always plays on normal', () => {
+        const daily = simAt('insane', 'daily');
+        assert.equal(daily.preset.name, 'normal');
+        assert.equal(daily.difficultySettings.baseSpawnDelay, 2000);
+    });
+
+    test('uses the preset special fruit chance', () => {
+        const specials = (preset) => {
+            const sim = new Simulation({ preset, seed: 5, width: 1280, height: 720, specialFruits: [{ name: 'lime', rarity: 1, minDifficulty: 1 }] });
+            sim.difficultySettings.baseHazardChance = 0;
+            let count = 0;
+            for (let i = 0; i < 3000; i++) {
+                sim.lemons = [];
+                sim.spawnLemons();
+                count += sim.lemons.filter(lemon => lemon.isSpecial).length / sim.lemons.length;
+            }
+            return count / 3000;
+        };
+        assert.ok(Math.abs(specials('easy') - 0.2) < 0.03, `easy ${specials('easy')}`);
+        assert.ok(Math.abs(specials('insane') - 0.1) < 0.03, `insane ${specials('insane')}`);
+    });
+});
@@ -0,0 +1,67 @@
+// Golden runs: a seeded simulation played with a fixed, scripted swipe sequence must land on
+// exactly the recorded result. A change here means runs (and saved replays) play out differently;
+// if that's intended, update the numbers and say so in the commit.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Simulation } = require('../simulation.js');
+const { TICK_MS } = require('./helpers.js');
+
+// A catalog like fruits.json, without sprites so hits use hitRadius
+const FRUITS = [
+    { name: 'lemonogata', points: 300, rarity: 1, size: 80, mobileSize: 70, hitRadius: 40, sliceColor: '#FFF44F', minDifficulty: 1, hp: 3, hitShape: null },
+    { name: 'grapefruit', points: 50, rarity: 3, size: 70, mobileSize: 60, hitRadius: 35, sliceColor: '#FF7F50', minDifficulty: 1, hitShape: null },
+    { name: 'apple', points: 150, rarity: 2, size: 70, mobileSize: 60, hitRadius: 35, sliceColor: '#FF0000', minDifficulty: 1.5, hitShape: null }
+];
+
+// Sweeps the blade back and forth across the playfield along a fixed figure, one point per
+// tick; it never looks at the fruit, so only the seed decides what it hits
+function scriptedInput(tick, inputType, width, height) {
+    const point = (type) => ({
+        type,
+        x: Math.round((width / 2 + width * 0.48 * Math.sin(tick / 3)) * 100) / 100,
+        y: Math.round((height / 2 + height * 0.44 * Math.sin(tick / 17)) * 100) / 100,
+        pointerId: 1,
+        inputType
+    });
+    if (inputType === 'mouse') return [point('move')]; // Desktop mice cut without a button
+    
+    // Fingers press for 40 ticks out of every 60
+    const phase = tick % 60;
+    if (phase === 0) return [point('down'), point('move')];
+    if (phase < 40) return [point('move')];
+    if (phase === 40) return [point('up')];
+    return [];
+}
+
+function playGolden({ mode, seed, isMobile, inputType, width, height }) {
+    const sim = new Simulation({ mode, seed, width, height, isMobile, specialFruits: FRUITS });
+    const counts = {};
+    while (!sim.over && sim.tick < 36000) { // Ten minutes, in case a change makes a run endless
+        for (const event of sim.step(scriptedInput(sim.tick + 1, inputType, width, height), TICK_MS)) {
+            counts[event.type] = (counts[event.type] || 0) + 1;
+        }
+    }
+    return { score: sim.score, fruitsSliced: sim.fruitsSliced, ticks: sim.tick, bestCombo: sim.bestCombo, counts };
+}
+
+test('classic on a desktop with a hovering mouse', () => {
+    const result = playGolden({ mode: 'classic', seed: 2, isMobile: false, inputType: 'mouse', width: 1280, height: 720 });
+    assert.deepEqual(result, {
+        score: 170,
+        fruitsSliced: 7,
+        ticks: 1266,
+        bestCombo: 0, // The mouse never rests, but its cuts are too far apart to make a combo
+        counts: { spawn: 13, slice: 7, hit: 2, miss: 3, over: 1 } // Two hits on the armored lemonogata
+    });
+});
+
+test('arcade on a phone with a finger', () => {
+    const result = playGolden({ mode: 'arcade', seed: 1, isMobile: true, inputType: 'touch', width: 390, height: 844 });
+    assert.deepEqual(result, {
+        score: 200,
+        fruitsSliced: 20,
+        ticks: 4201, // 60 seconds plus two clocks
+        bestCombo: 0,
+        counts: { spawn: 38, slice: 20, miss: 11, bomb: 5, powerUp: 2, timeBonus: 2, over: 1 }
+    });
+});
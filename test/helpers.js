@@ -0,0 +1,28 @@
+// Fixtures shared by the test files
+const { Simulation } = require('../simulation.js');
+
+const TICK_MS = 1000 / 60; // Same fixed step as the game
+
+// A classic run on a desktop-sized playfield that only has the fruit a test puts in
+function makeSim(options = {}) {
+    const sim = new Simulation(Object.assign({ mode: 'classic', seed: 1, width: 1280, height: 720 }, options));
+    sim.nextSpawnTime = Infinity;
+    return sim;
+}
+
+// Throws a fruit like the game does, so it has every field real fruit have, then puts it in place:
+// standing still at (600, 300) unless fields say otherwise. isHazard, isTimeBonus, powerUp and
+// specialFruit in fields pick what kind of fruit gets thrown
+function placeFruit(sim, fields = {}) {
+    const lemon = sim.throwFruit(600, {
+        isHazard: Boolean(fields.isHazard),
+        isTimeBonus: Boolean(fields.isTimeBonus),
+        powerUp: fields.powerUp || null,
+        specialFruit: fields.specialFruit || null
+    });
+    Object.assign(lemon, { x: 600, y: 300, speedX: 0, speedY: 0, rotation: 0, rotationSpeed: 0 }, fields);
+    // Where it was at the start of the step, for the swept collision test
+    return Object.assign(lemon, { prevX: lemon.x, prevY: lemon.y, prevRotation: lemon.rotation }, fields);
+}
+
+module.exports = { TICK_MS, makeSim, placeFruit };
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeSim, placeFruit } = require('./helpers.js');
+
+// Cuts the lemon straight down the middle
+function cutLemon(sim, lemon) {
+    const centerX = lemon.x + lemon.width / 2;
+    sim.cutFruit(lemon, { x: centerX, y: lemon.y - 10 }, { x: centerX, y: lemon.y + lemon.height + 10 });
+    lemon.sliced = true;
+    return lemon;
+}
+
+test.describe('handleBoundaryCollision', () => {
+    test('bounces a whole fruit off the left wall, losing 20% speed', () => {
+        const sim = makeSim();
+        const lemon = placeFruit(sim, { x: -15, y: 300, speedX: -10 });
+        sim.handleBoundaryCollision(lemon);
+
+        assert.equal(lemon.x, 0);
+        assert.equal(lemon.speedX, 8);
+    });
+
+    test('bounces a whole fruit off the right wall', () => {
+        const sim = makeSim();
+        const lemon = placeFruit(sim, { x: 1250, y: 300, speedX: 10 });
+        sim.handleBoundaryCollision(lemon);
+
+        assert.equal(lemon.x, 1280 - 60);
+        assert.equal(lemon.speedX, -8);
+    });
+
+    test('always sends a fruit back into the playfield, whichever way it was going', () => {
+        const sim = makeSim();
+        const lemon = placeFruit(sim, { x: -5, y: 300, speedX: 10 }); // Already turned around, but still outside
+        sim.handleBoundaryCollision(lemon);
+
+        assert.equal(lemon.speedX, 8);
+    });
+
+    test('leaves a fruit inside the playfield alone', () => {
+        const sim = makeSim();
+        const lemon = placeFruit(sim, { x: 600, y: 300, speedX: -10 });
+        sim.handleBoundaryCollision(lemon);
+
+        assert.equal(lemon.x, 600);
+        assert.equal(lemon.speedX, -10);
+    });
+
+    test('bounces both halves off the walls by their own radius', () => {
+        const sim = makeSim();
+        const lemon = cutLemon(sim, placeFruit(sim, { x: 600, y: 300, speedX: 0 }));
+        const { leftHalf, rightHalf } = lemon;
+        leftHalf.x = 2;
+        leftHalf.speedX = -5;
+        rightHalf.x = 1279;
+        rightHalf.speedX = 5;
+        sim.handleBoundaryCollision(lemon);
+
+        assert.equal(leftHalf.x, leftHalf.radius);
+        assert.equal(leftHalf.speedX, 4);
+        assert.equal(rightHalf.x, 1280 - rightHalf.radius);
+        assert.equal(rightHalf.speedX, -4);
+    });
+
+    test('bounces only the half that hit a wall', () => {
+        const sim = makeSim();
+        const lemon = cutLemon(sim, placeFruit(sim, { x: 600, y: 300, speedX: 0 }));
+        const { leftHalf, rightHalf } = lemon;
+        leftHalf.x = 0;
+        leftHalf.speedX = -5;
+        const rightBefore = { x: rightHalf.x, speedX: rightHalf.speedX };
+        sim.handleBoundaryCollision(lemon);
+
+        assert.equal(leftHalf.x, leftHalf.radius);
+        assert.equal(leftHalf.speedX, 4);
+        assert.deepEqual({ x: rightHalf.x, speedX: rightHalf.speedX }, rightBefore);
+    });
+});
+
+test.describe('cutFruit', () => {
+    test('splits a lemon into halves that fly apart on either side of the cut', () => {
+        const sim = makeSim();
+        const lemon = cutLemon(sim, placeFruit(sim, { x: 600, y: 300, speedX: 0 }));
+        const [west, east] = [lemon.leftHalf, lemon.rightHalf].sort((a, b) => a.x - b.x);
+
+        assert.ok(west.x < 630 && east.x > 630);
+        assert.ok(west.speedX < 0 && east.speedX > 0);
+        assert.ok(west.radius > 0 && east.radius > 0);
+    });
+});
@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getScoreColor } = require('../renderer.js');
+const { TICK_MS, makeSim, placeFruit } = require('./helpers.js');
+
+// A fruit just about to fall out of the bottom of the playfield
+function makeFalling(sim, fields = {}) {
+    return placeFruit(sim, Object.assign({ y: sim.height + 100, speedY: 5 }, fields));
+}
+
+function eventTypes(events) {
+    return events.map(event => event.type);
+}
+
+test.describe('getScoreColor', () => {
+    test('uses the color of the highest threshold the points reach', () => {
+        assert.equal(getScoreColor(10), '#FFFFFF');
+        assert.equal(getScoreColor(49), '#FFFFFF');
+        assert.equal(getScoreColor(50), '#90EE90');
+        assert.equal(getScoreColor(99), '#90EE90');
+        assert.equal(getScoreColor(100), '#FFD700');
+        assert.equal(getScoreColor(150), '#FFA500');
+        assert.equal(getScoreColor(299), '#FFA500');
+        assert.equal(getScoreColor(300), '#FF69B4');
+        assert.equal(getScoreColor(600), '#FF69B4');
+    });
+
+    test('falls back to white below the lowest threshold', () => {
+        assert.equal(getScoreColor(0), '#FFFFFF');
+        assert.equal(getScoreColor(5), '#FFFFFF');
+    });
+});
+
+test.describe('lives and game over', () => {
+    test('a missed fruit costs a life in classic', () => {
+        const sim = makeSim({ mode: 'classic' });
+        makeFalling(sim);
+        const events = sim.step([], TICK_MS);
+
+        assert.deepEqual(eventTypes(events), ['miss']);
+        assert.equal(sim.lives, 2);
+        assert.equal(sim.lemons.length, 0);
+        assert.equal(sim.over, false);
+    });
+
+    test('the third miss ends the run', () => {
+        const sim = makeSim({ mode: 'classic' });
+        for (let i = 0; i < 3; i++) {
+            makeFalling(sim);
+        }
+        const events = sim.step([], TICK_MS);
+
+        assert.deepEqual(eventTypes(events), ['miss', 'miss', 'miss', 'over']);
+        assert.equal(sim.lives, 0);
+        assert.equal(sim.over, true);
+    });
+
+    test('a finished run does not step any more', () => {
+        const sim = makeSim({ mode: 'classic' });
+        sim.lives = 1;
+        makeFalling(sim);
+        sim.step([], TICK_MS);
+        const tick = sim.tick;
+
+        assert.deepEqual(sim.step([], TICK_MS), []);
+        assert.equal(sim.tick, tick);
+    });
+
+    test('dropping bombs, power-ups and frenzy fruit is free', () => {
+        const sim = makeSim({ mode: 'classic' });
+        makeFalling(sim, { isHazard: true });
+        makeFalling(sim, { powerUp: 'double' });
+        makeFalling(sim, { isFrenzy: true });
+        const events = sim.step([], TICK_MS);
+
+        assert.deepEqual(eventTypes(events), []);
+        assert.equal(sim.lives, 3);
+        assert.equal(sim.lemons.length, 0);
+    });
+
+    test('misses are free in timed modes, the clock ends the run', () => {
+        const sim = makeSim({ mode: 'arcade' });
+        makeFalling(sim);
+        assert.deepEqual(eventTypes(sim.step([], TICK_MS)), ['miss']);
+        assert.equal(sim.lives, null);
+
+        let events = [];
+        while (!sim.over) {
+            events = sim.step([], TICK_MS);
+        }
+        assert.deepEqual(eventTypes(events), ['over']);
+        assert.ok(sim.simTime >= 60000 && sim.simTime < 60000 + TICK_MS);
+    });
+
+    test('a cut bomb costs a life in classic and ends a daily run', () => {
+        for (const [mode, lives, over] of [['classic', 2, false], ['daily', null, true]]) {
+            const sim = makeSim({ mode: mode });
+            makeFalling(sim, { y: 300, speedY: 0, isHazard: true });
+            const input = [
+                { type: 'down', x: 0, y: 0, pointerId: 1, inputType: 'touch' },
+                { type: 'move', x: 550, y: 330, pointerId: 1, inputType: 'touch' },
+                { type: 'move', x: 720, y: 330, pointerId: 1, inputType: 'touch' }
+            ];
+            const events = sim.step(input, TICK_MS);
+
+            assert.equal(events[0].type, 'bomb', mode);
+            assert.equal(sim.lives, lives, mode);
+            assert.equal(sim.over, over, mode);
+        }
+    });
+});
+
+test.describe('slicing and combos', () => {
+    // One touch stroke across the given y, pressed on the first tick and lifted on the next
+    function strokeAcross(sim, y) {
+        const touch = (type, x) => ({ type, x, y, pointerId: 1, inputType: 'touch' });
+        const events = sim.step([touch('down', 0), touch('move', 100), touch('move', 1200)], TICK_MS);
+        return events.concat(sim.step([touch('up', 1200)], TICK_MS));
+    }
+
+    test('a slice scores the fruit and counts it', () => {
+        const sim = makeSim({ mode: 'classic' });
+        makeFalling(sim, { y: 300, speedY: 0 });
+        const events = strokeAcross(sim, 320);
+
+        assert.deepEqual(eventTypes(events), ['slice']);
+        assert.equal(events[0].points, 10);
+        assert.equal(sim.score, 10);
+        assert.equal(sim.fruitsSliced, 1);
+    });
+
+    test('three fruit in one stroke pay a combo bonus when the stroke ends', () => {
+        const sim = makeSim({ mode: 'classic' });
+        for (const x of [200, 500, 800]) {
+            makeFalling(sim, { x, y: 300, speedY: 0 });
+        }
+        const events = strokeAcross(sim, 320);
+        const combo = events.find(event => event.type === 'combo');
+
+        assert.deepEqual(eventTypes(events), ['slice', 'slice', 'slice', 'combo']);
+        assert.equal(combo.cuts, 3);
+        assert.equal(combo.bonus, 15); // 30 points at x1.5
+        assert.equal(sim.score, 45);
+        assert.equal(sim.bestCombo, 3);
+    });
+
+    test('a hovering mouse that keeps moving does not build one combo out of spaced-out cuts', () => {
+        const sim = makeSim({ mode: 'classic' });
+        const events = [];
+        for (let tick = 0; tick < 3 * 120; tick++) {
+            if (tick % 120 === 0) {
+                makeFalling(sim, { y: 300, speedY: 0 }); // A fresh lemon every 2 seconds
+            }
+            // Back and forth across the lemon, never resting
+            const mouse = { type: 'move', x: tick % 2 === 0 ? 500 : 700, y: 320, pointerId: 1, inputType: 'mouse' };
+            events.push(...sim.step([mouse], TICK_MS));
+        }
+        for (let i = 0; i < 30; i++) {
+            events.push(...sim.step([], TICK_MS)); // Then it rests
+        }
+
+        assert.equal(events.filter(event => event.type === 'slice').length, 3);
+        assert.ok(!events.some(event => event.type === 'combo'));
+        assert.equal(sim.bestCombo, 0);
+    });
+
+    test('a quick hovering sweep through three fruit is still a combo', () => {
+        const sim = makeSim({ mode: 'classic' });
+        for (const x of [200, 500, 800]) {
+            makeFalling(sim, { x, y: 300, speedY: 0 });
+        }
+        const events = [];
+        for (const x of [100, 400, 700, 1000, 1200]) {
+            events.push(...sim.step([{ type: 'move', x, y: 320, pointerId: 1, inputType: 'mouse' }], TICK_MS));
+        }
+        for (let i = 0; i < 30; i++) {
+            events.push(...sim.step([], TICK_MS)); // The trail dies out and the stroke ends
+        }
+
+        assert.equal(events.find(event => event.type === 'combo').cuts, 3);
+    });
+
+    test('double power-up doubles what slices are worth', () => {
+        const sim = makeSim({ mode: 'classic' });
+        sim.activeEffects.double = 5000;
+        makeFalling(sim, { y: 300, speedY: 0 });
+        strokeAcross(sim, 320);
+
+        assert.equal(sim.score, 20);
+    });
+});
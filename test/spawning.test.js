@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Simulation } = require('../simulation.js');
+
+const FRUITS = [
+    { name: 'grapefruit', rarity: 1, minDifficulty: 1 },
+    { name: 'lime', rarity: 3, minDifficulty: 1 },
+    { name: 'lemonogata', rarity: 1, minDifficulty: 2 }
+];
+
+// How often each fruit comes up in a lot of draws at the given difficulty
+function drawShares(difficulty, draws = 20000) {
+    const sim = new Simulation({ mode: 'classic', seed: 99, width: 1280, height: 720, specialFruits: FRUITS });
+    sim.difficulty = difficulty;
+    const counts = {};
+    for (let i = 0; i < draws; i++) {
+        const fruit = sim.getRandomSpecialFruit();
+        counts[fruit.name] = (counts[fruit.name] || 0) + 1;
+    }
+    const shares = {};
+    for (const name of Object.keys(counts)) {
+        shares[name] = counts[name] / draws;
+    }
+    return shares;
+}
+
+test.describe('getRandomSpecialFruit', () => {
+    test('picks fruit in proportion to their rarity weight', () => {
+        const shares = drawShares(1);
+        assert.ok(Math.abs(shares.grapefruit - 0.25) < 0.02, `grapefruit ${shares.grapefruit}`);
+        assert.ok(Math.abs(shares.lime - 0.75) < 0.02, `lime ${shares.lime}`);
+    });
+
+    test('keeps fruit away until the difficulty reaches their minDifficulty', () => {
+        assert.equal(drawShares(1.99).lemonogata, undefined);
+
+        const shares = drawShares(2);
+        assert.ok(Math.abs(shares.lemonogata - 0.2) < 0.02, `lemonogata ${shares.lemonogata}`);
+        assert.ok(Math.abs(shares.lime - 0.6) < 0.02, `lime ${shares.lime}`);
+    });
+
+    test('returns null when no fruit is unlocked', () => {
+        const sim = new Simulation({ width: 1280, height: 720, specialFruits: [{ name: 'late', rarity: 1, minDifficulty: 3 }] });
+        assert.equal(sim.getRandomSpecialFruit(), null);
+        assert.equal(new Simulation({ width: 1280, height: 720 }).getRandomSpecialFruit(), null);
+    });
+
+    test('draws the same fruit for the same seed', () => {
+        const names = (seed) => {
+            const sim = new Simulation({ seed, width: 1280, height: 720, specialFruits: FRUITS });
+            sim.difficulty = 3;
+            return Array.from({ length: 50 }, () => sim.getRandomSpecialFruit().name);
+        };
+        assert.deepEqual(names(7), names(7));
+        assert.notDeepEqual(names(7), names(8));
+    });
+});
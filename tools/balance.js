@@ -0,0 +1,143 @@
+// Plays lots of headless runs with a simple bot and prints how they went, so difficulty can be
+// tuned from numbers instead of by playing for an afternoon:
+//
+//   node tools/balance.js [runs] [mode] [preset] [accuracy] [reactionMs]
+//
+// e.g. `node tools/balance.js 500 arcade hard 0.8`. The bot notices every fruit, waits reactionMs,
+// then goes for it with the given chance. It never aims at bombs, but a swipe through several
+// fruit can still cross one. Run n uses seed n, so the numbers are repeatable. A campaign level id
+// in place of the mode plays that level, e.g. `node tools/balance.js 100 elite hard`.
+const fs = require('fs');
+const path = require('path');
+const { Simulation, SeededRandom, GAME_MODES, DIFFICULTY_PRESETS, CAMPAIGN_LEVELS } = require('../simulation.js');
+
+const TICK_MS = 1000 / 60; // Same fixed step as the game
+const MAX_TICKS = 60 * 60 * 10; // Give up on runs the bot can't lose after ten minutes
+const PLAYFIELD = { width: 1280, height: 720 };
+
+// The real catalog, but without sprites to read every fruit uses its hitRadius circle
+function loadSpecialFruits() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fruits.json'), 'utf8'));
+    return manifest.fruits.map(entry => ({
+        name: entry.name,
+        hitShape: null,
+        points: entry.points,
+        rarity: entry.rarity,
+        size: entry.size,
+        mobileSize: entry.mobileSize || Math.round(entry.size * 0.875),
+        hitRadius: entry.hitRadius,
+        sliceColor: entry.sliceColor,
+        minDifficulty: entry.minDifficulty,
+        hp: entry.hp || 1
+    }));
+}
+
+// Swipes through the fruit it decided to cut, all of this tick's targets in one stroke
+class Bot {
+    constructor(seed, accuracy, reactionMs) {
+        this.rng = new SeededRandom(seed);
+        this.accuracy = accuracy;
+        this.reactionMs = reactionMs;
+        this.noticed = new Map(); // Lemon -> { tick, aims, done }
+        this.swiping = false;
+    }
+
+    // Input events for the next tick
+    getInput(sim) {
+        const event = (type, x, y) => ({ type, x, y, pointerId: 1, inputType: 'touch' });
+        if (this.swiping) {
+            this.swiping = false;
+            return [event('up', 0, 0)];
+        }
+
+        const targets = [];
+        for (const lemon of sim.lemons) {
+            if (lemon.sliced || lemon.isHazard || lemon.y > sim.height) continue;
+
+            if (!this.noticed.has(lemon)) {
+                this.noticed.set(lemon, { tick: sim.tick, aims: this.rng.next() < this.accuracy, done: false });
+            }
+            const noticed = this.noticed.get(lemon);
+            const ready = (sim.tick - noticed.tick) * TICK_MS >= this.reactionMs && sim.simTime >= lemon.invulnerableUntil;
+            if (noticed.aims && !noticed.done && ready) {
+                noticed.done = true;
+                targets.push(lemon);
+            }
+            if (lemon.maxHp > 1 && ready) {
+                // Armored fruit and bosses take several hits, so it sizes them up again for the next swing
+                this.noticed.set(lemon, { tick: sim.tick, aims: this.rng.next() < this.accuracy, done: false });
+            }
+        }
+        if (targets.length === 0) return [];
+
+        const input = [event('down', 0, 0)];
+        targets.sort((a, b) => a.x - b.x);
+        for (const lemon of targets) {
+            const centerX = lemon.x + lemon.width / 2;
+            const centerY = lemon.y + lemon.height / 2;
+            input.push(event('move', centerX - lemon.width, centerY), event('move', centerX + lemon.width, centerY));
+        }
+        this.swiping = true;
+        return input;
+    }
+}
+
+function playRun(seed, mode, level, preset, accuracy, reactionMs, specialFruits) {
+    const sim = new Simulation({ mode, level, preset, seed, width: PLAYFIELD.width, height: PLAYFIELD.height, specialFruits });
+    const bot = new Bot(seed, accuracy, reactionMs);
+    const result = { misses: 0, bombs: 0, combos: 0 };
+    while (!sim.over && sim.tick < MAX_TICKS) {
+        for (const event of sim.step(bot.getInput(sim), TICK_MS)) {
+            if (event.type === 'miss') result.misses++;
+            if (event.type === 'bomb') result.bombs++;
+            if (event.type === 'combo') result.combos++;
+        }
+    }
+    result.score = sim.score;
+    result.seconds = Math.round(sim.simTime / 1000);
+    result.sliced = sim.fruitsSliced;
+    result.difficulty = sim.difficulty;
+    result.cleared = sim.levelCleared ? 1 : 0;
+    return result;
+}
+
+function percentile(sorted, fraction) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+function main() {
+    const runs = Number(process.argv[2] || 200);
+    const level = CAMPAIGN_LEVELS.find(entry => entry.id === process.argv[3]);
+    const mode = level ? 'campaign' : process.argv[3] || 'classic';
+    const preset = process.argv[4] || 'normal';
+    const accuracy = Number(process.argv[5] || 0.9);
+    const reactionMs = Number(process.argv[6] || 250);
+    if (!GAME_MODES[mode]) {
+        const choices = Object.keys(GAME_MODES).concat(CAMPAIGN_LEVELS.map(entry => entry.id));
+        console.error(`Unknown mode ${mode}, pick one of ${choices.join(', ')}`);
+        process.exit(1);
+    }
+    if (!DIFFICULTY_PRESETS[preset]) {
+        console.error(`Unknown preset ${preset}, pick one of ${Object.keys(DIFFICULTY_PRESETS).join(', ')}`);
+        process.exit(1);
+    }
+
+    const specialFruits = loadSpecialFruits();
+    const results = [];
+    for (let seed = 1; seed <= runs; seed++) {
+        results.push(playRun(seed, mode, level ? level.id : null, preset, accuracy, reactionMs, specialFruits));
+    }
+
+    console.log(`${level ? level.id : mode} (${preset}): ${runs} runs, accuracy ${accuracy}, reaction ${reactionMs}ms`);
+    console.log(['', 'min', 'p10', 'median', 'p90', 'max', 'mean'].map(cell => cell.padStart(10)).join(''));
+    const stats = ['score', 'seconds', 'sliced', 'misses', 'bombs', 'combos', level ? 'cleared' : 'difficulty'];
+    for (const stat of stats) {
+        const values = results.map(result => result[stat]).sort((a, b) => a - b);
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const row = [values[0], percentile(values, 0.1), percentile(values, 0.5), percentile(values, 0.9), values[values.length - 1], mean];
+        console.log(stat.padStart(10) + row.map(value => String(Math.round(value * 100) / 100).padStart(10)).join(''));
+    }
+    process.exit(0);
+}
+
+main();